@@ -0,0 +1,33 @@
+// Which ride each driver is currently on, cached briefly so high-frequency
+// location updates don't query the database every time. Entries are dropped
+// whenever one of the driver's rides changes status.
+
+const { getActiveRideForDriver, rideEvents } = require('./ride-lifecycle');
+
+const CACHE_TTL_MS = 15 * 1000;
+
+const createActiveRideCache = ({ supabase }) => {
+  // driverId -> { ride: { id, status } | null, cachedAt }
+  const cache = new Map();
+
+  rideEvents.on('transition', ({ ride }) => {
+    if (ride.driver_id) cache.delete(ride.driver_id);
+  });
+
+  // { id, status } of the driver's current ride, or null
+  const rideForDriver = async (driverId) => {
+    const cached = cache.get(driverId);
+    if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+      return cached.ride;
+    }
+
+    const ride = await getActiveRideForDriver(supabase, driverId);
+    const entry = { ride: ride ? { id: ride.id, status: ride.status } : null, cachedAt: Date.now() };
+    cache.set(driverId, entry);
+    return entry.ride;
+  };
+
+  return { rideForDriver };
+};
+
+module.exports = { createActiveRideCache };
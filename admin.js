@@ -0,0 +1,72 @@
+// Guards for REST routes. Callers send their Supabase access token as a
+// bearer token; requireUser accepts any signed-in user with a profile and
+// requireAdmin only users with the 'admin' role. Admin and operator roles are
+// granted out of band, never through the API.
+
+// The Supabase auth user behind the request's bearer token, or null
+const getAuthUser = async (req) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token) return null;
+  const { data, error } = await req.supabase.auth.getUser(token);
+  if (error || !data?.user) return null;
+  return data.user;
+};
+
+const getProfile = async (supabase, userId) => {
+  const { data: profile, error } = await supabase
+    .from('users')
+    .select('role, phone')
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return profile;
+};
+
+// Sets req.userId and req.userRole for the handlers behind it
+const requireUser = async (req, res, next) => {
+  try {
+    const user = await getAuthUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Missing or invalid access token' });
+    }
+
+    const profile = await getProfile(req.supabase, user.id);
+    if (!profile) {
+      return res.status(403).json({ error: 'User is not registered' });
+    }
+
+    req.userId = user.id;
+    req.userRole = profile.role;
+    next();
+  } catch (error) {
+    console.error('Error checking access:', error.message);
+    res.status(500).json({ error: 'Failed to verify access' });
+  }
+};
+
+const requireAdmin = async (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token) {
+    return res.status(401).json({ error: 'Missing access token' });
+  }
+
+  try {
+    const user = await getAuthUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid access token' });
+    }
+
+    const profile = await getProfile(req.supabase, user.id);
+    if (profile?.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    req.adminId = user.id;
+    next();
+  } catch (error) {
+    console.error('Error checking admin access:', error.message);
+    res.status(500).json({ error: 'Failed to verify access' });
+  }
+};
+
+module.exports = { getAuthUser, requireUser, requireAdmin };
@@ -2,6 +2,7 @@ require('dotenv').config();
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
+const { getAuthUser } = require('./admin');
 
 // Debug environment variables
 console.log('Auth.js - Environment variables:', {
@@ -12,19 +13,52 @@ console.log('Auth.js - Environment variables:', {
 // Initialize Supabase
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
+// Roles users can give themselves; admins and operators are set up out of band
+const SELF_SERVICE_ROLES = ['rider', 'driver'];
 
-// Register (called after Supabase Auth signup)
+// Register (called after Supabase Auth signup). Every user gets their own
+// referral code; referral_code is the optional code of whoever invited them
+// and device_id identifies the signup device for the referral fraud checks,
+// which compare the phone number verified by Supabase Auth rather than the
+// one in the body. The caller's access token must belong to userId.
 router.post('/register', async (req, res) => {
-  const { userId, first_name, last_name, email, role } = req.body;
+  const { userId, first_name, last_name, email, role = 'rider', phone, device_id, referral_code } = req.body;
+  let authUser;
   try {
+    authUser = await getAuthUser(req);
+    if (!authUser) {
+      return res.status(401).json({ error: 'Missing or invalid access token' });
+    }
+    if (authUser.id !== userId) {
+      return res.status(403).json({ error: 'Can only register your own account' });
+    }
+    if (!SELF_SERVICE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${SELF_SERVICE_ROLES.join(', ')}` });
+    }
+
     const { data, error } = await supabase
       .from('users')
-      .insert([{ id: userId, first_name, last_name, email, role }]);
+      .insert([{ id: userId, first_name, last_name, email, role, phone, signup_device_id: device_id }]);
     if (error) throw error;
-    res.status(201).json({ message: 'User registered', userId });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
+  }
+
+  // The user is registered either way; a referral that couldn't be set up
+  // leaves them without a code or without their inviter's reward
+  const referrals = req.app.get('referrals');
+  let referralCode = null;
+  let referral = null;
+  try {
+    referralCode = await referrals.assignCode(userId);
+    if (referral_code) {
+      referral = await referrals.recordReferral({ refereeId: userId, code: referral_code, phone: authUser.phone, deviceId: device_id });
+    }
+  } catch (error) {
+    console.error(`Error setting up referrals for user ${userId}:`, error.message);
   }
+
+  res.status(201).json({ message: 'User registered', userId, referralCode, referral });
 });
 
 // Note: Login is handled by Supabase Auth directly via the client SDK
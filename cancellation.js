@@ -0,0 +1,137 @@
+// Cancellation policy. Riders cancel for free before a driver is assigned and
+// during a short grace period after acceptance; later cancellations, and any
+// cancellation once the driver has arrived, carry a fee debited from the
+// rider's wallet and partly credited to the driver. Drivers who cancel put
+// the ride back into dispatch and the cancellation counts against their
+// reliability.
+
+const { getRide, getTransitionTime, transitionRide } = require('./ride-lifecycle');
+const { debitWallet, creditWallet } = require('./wallet');
+const { ACCOUNTS } = require('./ledger');
+
+const GRACE_PERIOD_MS = (Number(process.env.CANCEL_GRACE_SECONDS) || 120) * 1000;
+const LATE_CANCEL_FEE = Number(process.env.CANCEL_FEE) || 500;
+const ARRIVED_CANCEL_FEE = Number(process.env.CANCEL_FEE_AFTER_ARRIVAL) || 1000;
+const DRIVER_FEE_SHARE = Number(process.env.CANCEL_FEE_DRIVER_SHARE) || 0.8;
+const RELIABILITY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Fee the rider would pay to cancel this ride right now, with the reason
+const getCancellationFee = async (supabase, ride, now = new Date()) => {
+  if (!ride.driver_id || ['scheduled', 'pending'].includes(ride.status)) {
+    return { fee: 0, reason: 'No driver assigned yet' };
+  }
+  if (ride.status === 'arrived') {
+    return { fee: ARRIVED_CANCEL_FEE, reason: 'Driver has already arrived' };
+  }
+
+  const acceptedAt = await getTransitionTime(supabase, ride.id, 'accepted');
+  if (acceptedAt && now - acceptedAt <= GRACE_PERIOD_MS) {
+    return { fee: 0, reason: 'Within the free cancellation period' };
+  }
+  return { fee: LATE_CANCEL_FEE, reason: 'Free cancellation period has passed' };
+};
+
+// Recompute the driver's share of accepted rides they later cancelled
+const recordDriverCancellation = async (supabase, ride, reason) => {
+  const { error } = await supabase.from('driver_cancellations').insert({
+    driver_id: ride.driver_id,
+    ride_id: ride.id,
+    ride_status: ride.status,
+    reason: reason || null,
+  });
+  if (error) throw error;
+
+  const since = new Date(Date.now() - RELIABILITY_WINDOW_MS).toISOString();
+  const [{ count: accepted, error: acceptedError }, { count: cancelled, error: cancelledError }] =
+    await Promise.all([
+      supabase
+        .from('ride_status_history')
+        .select('id', { count: 'exact', head: true })
+        .eq('actor_id', ride.driver_id)
+        .eq('to_status', 'accepted')
+        .gt('created_at', since),
+      supabase
+        .from('driver_cancellations')
+        .select('id', { count: 'exact', head: true })
+        .eq('driver_id', ride.driver_id)
+        .gt('created_at', since),
+    ]);
+  if (acceptedError) throw acceptedError;
+  if (cancelledError) throw cancelledError;
+
+  const reliability = accepted ? Math.max(0, 1 - cancelled / accepted) : 1;
+  const { error: updateError } = await supabase
+    .from('drivers')
+    .update({ reliability_score: Math.round(reliability * 100) / 100 })
+    .eq('id', ride.driver_id);
+  if (updateError) throw updateError;
+};
+
+// Look up a ride and check the user is allowed to cancel it
+const loadCancellableRide = async (supabase, rideId, userId) => {
+  const { ride } = await getRide(supabase, rideId);
+  if (!ride || ![ride.rider_id, ride.driver_id].includes(userId)) {
+    throw new Error('Ride not found or not cancellable');
+  }
+  return ride;
+};
+
+// Cancel a ride on behalf of its rider or driver.
+// Riders must pass acceptedFee >= the current fee; otherwise nothing changes
+// and { feeRequired: true } is returned so the app can ask for confirmation.
+const cancelRide = async (supabase, { rideId, userId, reason, acceptedFee = 0 }) => {
+  const ride = await loadCancellableRide(supabase, rideId, userId);
+
+  if (userId === ride.driver_id) {
+    // The driver backs out: the ride goes back to dispatch without them
+    const reopenedRide = await transitionRide(supabase, rideId, 'pending', {
+      actor: { id: userId, role: 'driver' },
+      patch: { driver_id: null, start_pin: null },
+      ridesPatch: { driver_id: null },
+      reason,
+    });
+    await recordDriverCancellation(supabase, ride, reason);
+    return { ride: reopenedRide, cancelledBy: 'driver', previousDriverId: ride.driver_id, fee: 0 };
+  }
+
+  const { fee, reason: feeReason } = await getCancellationFee(supabase, ride);
+  if (fee > Number(acceptedFee || 0)) {
+    return { ride, cancelledBy: 'rider', fee, feeReason, feeRequired: true };
+  }
+
+  const canceledRide = await transitionRide(supabase, rideId, 'canceled', {
+    actor: { id: userId, role: 'rider' },
+    patch: { cancellation_reason: reason || null },
+    reason,
+  });
+
+  const transactions = [];
+  if (fee > 0) {
+    const riderDebit = await debitWallet(supabase, {
+      userId,
+      amount: fee,
+      type: 'cancellation_fee',
+      description: `Cancellation fee - ${feeReason}`,
+      rideId,
+      allowNegative: true,
+      counterAccount: ACCOUNTS.revenue,
+    });
+    const driverCredit = await creditWallet(supabase, {
+      userId: ride.driver_id,
+      amount: Math.round(fee * DRIVER_FEE_SHARE),
+      type: 'cancellation_compensation',
+      description: 'Compensation for a rider cancellation',
+      rideId,
+      counterAccount: ACCOUNTS.revenue,
+    });
+    transactions.push(riderDebit.transaction, driverCredit.transaction);
+  }
+
+  return { ride: canceledRide, cancelledBy: 'rider', fee, feeReason, transactions };
+};
+
+module.exports = {
+  getCancellationFee,
+  loadCancellableRide,
+  cancelRide,
+};
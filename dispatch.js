@@ -0,0 +1,194 @@
+// Sequential ride dispatch: offers each ride request to the closest online
+// drivers one small batch at a time, moving on when they decline or the
+// offer times out, instead of broadcasting requests to every socket.
+
+const { pickupOf, transitionRide } = require('./ride-lifecycle');
+
+const OFFER_TIMEOUT_MS = Number(process.env.DISPATCH_OFFER_TIMEOUT_MS) || 20000;
+const BATCH_SIZE = Number(process.env.DISPATCH_BATCH_SIZE) || 1;
+const SEARCH_RADIUS_METERS = Number(process.env.DISPATCH_RADIUS_METERS) || 5000;
+const MAX_CANDIDATES = Number(process.env.DISPATCH_MAX_CANDIDATES) || 10;
+
+// Only pending requests younger than this are picked up again after a restart
+const RESUME_WINDOW_MS = 10 * 60 * 1000;
+
+const createDispatcher = ({ supabase, io, serviceAreas }) => {
+  // requestId -> { rideRequest, candidates, offered, declined, timer }
+  const dispatches = new Map();
+
+  // Drivers around the pickup, closest first
+  const findNearbyDrivers = async (rideRequest, pickup) => {
+    const { data: nearby, error } = await supabase.rpc('nearby_drivers', {
+      query_lat: pickup.lat,
+      query_lng: pickup.lng,
+      max_distance: SEARCH_RADIUS_METERS,
+      rider_id: rideRequest.rider_id,
+    });
+    if (error) throw error;
+    if (!nearby) return [];
+
+    return [...nearby].sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0)).map((driver) => driver.user_id);
+  };
+
+  // Rank online drivers for a request. Airport pickups go to the airport's
+  // queue in arrival order first, then to other drivers by distance.
+  const findCandidates = async (rideRequest, excludeDriverIds) => {
+    const pickup = pickupOf(rideRequest);
+    const queued = serviceAreas.queuedDriversAt(pickup) || [];
+    const nearby = await findNearbyDrivers(rideRequest, pickup);
+    const driverIds = [...queued, ...nearby.filter((id) => !queued.includes(id))];
+    if (driverIds.length === 0) return [];
+
+    const { data: online, error: statusError } = await supabase
+      .from('drivers')
+      .select('id')
+      .in('id', driverIds)
+      .eq('status', 'online');
+    if (statusError) throw statusError;
+
+    const onlineIds = new Set(online.map((driver) => driver.id));
+    return driverIds
+      .filter((id) => onlineIds.has(id) && !excludeDriverIds.includes(id))
+      .slice(0, MAX_CANDIDATES);
+  };
+
+  const withdrawOffers = (state, exceptDriverId) => {
+    state.offered.forEach((driverId) => {
+      if (driverId !== exceptDriverId && !state.declined.has(driverId)) {
+        io.to(driverId).emit('rideOfferWithdrawn', { requestId: state.rideRequest.id });
+      }
+    });
+  };
+
+  const finish = (requestId) => {
+    const state = dispatches.get(requestId);
+    if (!state) return null;
+    clearTimeout(state.timer);
+    dispatches.delete(requestId);
+    return state;
+  };
+
+  const giveUp = async (requestId) => {
+    const state = finish(requestId);
+    if (!state) return;
+
+    try {
+      await transitionRide(supabase, requestId, 'declined', { reason: 'No drivers available' });
+    } catch (err) {
+      console.error(`Error closing undispatched ride ${requestId}:`, err.message);
+    }
+
+    io.to(state.rideRequest.rider_id).emit('noDriversAvailable', { requestId });
+    console.log(`No drivers available for ride ${requestId}`);
+  };
+
+  const offerNextBatch = async (requestId) => {
+    const state = dispatches.get(requestId);
+    if (!state) return;
+
+    const batch = state.candidates
+      .filter((driverId) => !state.offered.has(driverId))
+      .slice(0, BATCH_SIZE);
+
+    if (batch.length === 0) {
+      await giveUp(requestId);
+      return;
+    }
+
+    const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_MS).toISOString();
+    batch.forEach((driverId) => {
+      state.offered.add(driverId);
+      io.to(driverId).emit('rideRequest', { ...state.rideRequest, expiresAt });
+    });
+    state.currentBatch = batch;
+    console.log(`Offered ride ${requestId} to drivers:`, batch);
+
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.currentBatch.forEach((driverId) => {
+        if (!state.declined.has(driverId)) {
+          state.declined.add(driverId);
+          io.to(driverId).emit('rideOfferExpired', { requestId });
+        }
+      });
+      offerNextBatch(requestId).catch((err) =>
+        console.error(`Error re-offering ride ${requestId}:`, err.message)
+      );
+    }, OFFER_TIMEOUT_MS);
+  };
+
+  // Start offering a ride request, skipping drivers who already dropped it
+  const dispatch = async (rideRequest, { excludeDriverIds = [] } = {}) => {
+    const candidates = await findCandidates(rideRequest, excludeDriverIds);
+    dispatches.set(rideRequest.id, {
+      rideRequest,
+      candidates,
+      offered: new Set(),
+      declined: new Set(),
+      currentBatch: [],
+      timer: null,
+    });
+    await offerNextBatch(rideRequest.id);
+  };
+
+  const isOfferedTo = (requestId, driverId) => {
+    const state = dispatches.get(requestId);
+    return !!state && state.offered.has(driverId) && !state.declined.has(driverId);
+  };
+
+  // A driver turned the offer down; move on once the whole batch has answered
+  const decline = async (requestId, driverId) => {
+    const state = dispatches.get(requestId);
+    if (!state || !state.offered.has(driverId)) return;
+
+    state.declined.add(driverId);
+    if (state.currentBatch.every((id) => state.declined.has(id))) {
+      await offerNextBatch(requestId);
+    }
+  };
+
+  // A driver took the ride; retract the offer from the rest of the batch
+  const accept = (requestId, driverId) => {
+    const state = finish(requestId);
+    if (state) withdrawOffers(state, driverId);
+  };
+
+  // The rider cancelled before anyone accepted
+  const cancel = (requestId) => {
+    const state = finish(requestId);
+    if (state) withdrawOffers(state);
+  };
+
+  // Re-dispatch recent pending requests after a server restart
+  const resumePending = async () => {
+    const { data: pending, error } = await supabase
+      .from('ride_requests')
+      .select('*')
+      .eq('status', 'pending')
+      .gt('created_at', new Date(Date.now() - RESUME_WINDOW_MS).toISOString());
+    if (error) throw error;
+
+    // One ride that fails to dispatch mustn't strand the ones after it
+    let resumed = 0;
+    for (const rideRequest of pending) {
+      try {
+        await dispatch(rideRequest);
+        resumed++;
+      } catch (err) {
+        console.error(`Error resuming dispatch for ride ${rideRequest.id}:`, err.message);
+      }
+    }
+    console.log(`Resumed dispatch for ${resumed} of ${pending.length} pending ride requests`);
+  };
+
+  return {
+    dispatch,
+    isOfferedTo,
+    decline,
+    accept,
+    cancel,
+    resumePending,
+  };
+};
+
+module.exports = { createDispatcher };
@@ -0,0 +1,359 @@
+// Driver earnings and payouts. Every completed ride posts one earning: the
+// fare minus the platform commission. Wallet rides settle by crediting the
+// driver's wallet with the net amount, once the rider's hold was captured; on
+// cash rides the driver already holds the fare, so the commission is taken
+// from their wallet instead. Rides paid any other way earn nothing here. Drivers
+// cash their balance out to mobile money through the payment provider's
+// payouts.
+//
+// In the ledger, a digital fare waits in driver payables until the earning
+// moves it to the driver's wallet and platform revenue.
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { rideEvents } = require('./ride-lifecycle');
+const { isWalletPayment } = require('./ride-payments');
+const { getWallet, debitWallet, creditWallet, toTransactionUpdate } = require('./wallet');
+const { getProvider, defaultProvider } = require('./payment-providers');
+const { ACCOUNTS, providerAccount, postJournal } = require('./ledger');
+
+const COMMISSION_RATE = Number(process.env.PLATFORM_COMMISSION_RATE) || 0.2;
+const MIN_PAYOUT = Number(process.env.MIN_PAYOUT) || 1000;
+
+// Transaction types that leave through provider payouts: driver cash-outs and
+// refunds sent back to mobile money
+const PAYOUT_TYPES = ['payout', 'refund_payout'];
+
+const isCashRide = (ride) => String(ride.payment_method || 'Cash').toLowerCase() === 'cash';
+
+// Start of the current day, or of the current week (Monday), server time
+const periodStart = (period, now = new Date()) => {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+};
+
+const totals = (earnings) =>
+  earnings.reduce(
+    (sum, earning) => ({
+      rides: sum.rides + 1,
+      gross: sum.gross + earning.gross_fare,
+      commission: sum.commission + earning.commission,
+      net: sum.net + earning.net_earning,
+      cashCollected: sum.cashCollected + (earning.settlement === 'cash' ? earning.gross_fare : 0),
+    }),
+    { rides: 0, gross: 0, commission: 0, net: 0, cashCollected: 0 }
+  );
+
+const createEarningsService = ({ supabase, io }) => {
+  const getEarning = async (rideId) => {
+    const { data: earning, error } = await supabase
+      .from('driver_earnings')
+      .select('*')
+      .eq('ride_id', rideId)
+      .single();
+    if (error) throw error;
+    return earning;
+  };
+
+  // Post the earning for a completed ride and settle it against the wallet.
+  // settlement is 'cash', or 'digital' once the fare is in driver payables.
+  const postEarning = async (ride, settlement) => {
+    const grossFare = Number(ride.final_fare ?? ride.fare ?? ride.cost ?? 0);
+    if (!ride.driver_id || grossFare <= 0) return null;
+
+    const commission = Math.round(grossFare * COMMISSION_RATE);
+
+    // The unique ride_id and the ride-keyed journals make posting safe to
+    // retry: a ride whose earning row exists is settled again, which only
+    // completes whatever an earlier attempt didn't get to
+    const { data: inserted, error } = await supabase
+      .from('driver_earnings')
+      .insert({
+        driver_id: ride.driver_id,
+        ride_id: ride.id,
+        gross_fare: grossFare,
+        commission_rate: COMMISSION_RATE,
+        commission,
+        net_earning: grossFare - commission,
+        settlement,
+      })
+      .select()
+      .single();
+    if (error && error.code !== '23505') throw error;
+    const earning = inserted || (await getEarning(ride.id));
+
+    // Settle what was recorded, in case a retry computes a different fare
+    if (earning.settlement === 'digital' && earning.commission > 0) {
+      await postJournal(supabase, {
+        kind: 'commission',
+        description: 'Platform commission on a digital ride',
+        rideId: ride.id,
+        idempotencyKey: `commission:${ride.id}`,
+        entries: [
+          { account: ACCOUNTS.driverPayables, amount: -earning.commission },
+          { account: ACCOUNTS.revenue, amount: earning.commission },
+        ],
+      });
+    }
+
+    const { transaction } =
+      earning.settlement === 'cash'
+        ? await debitWallet(supabase, {
+            userId: ride.driver_id,
+            amount: earning.commission,
+            type: 'commission',
+            description: 'Platform commission on a cash ride',
+            rideId: ride.id,
+            allowNegative: true,
+            counterAccount: ACCOUNTS.revenue,
+            paymentRef: `earning:${ride.id}`,
+          })
+        : await creditWallet(supabase, {
+            userId: ride.driver_id,
+            amount: earning.net_earning,
+            type: 'ride_earning',
+            description: 'Ride earnings after platform commission',
+            rideId: ride.id,
+            counterAccount: ACCOUNTS.driverPayables,
+            paymentRef: `earning:${ride.id}`,
+          });
+
+    io.to(ride.driver_id).emit('earningPosted', earning);
+    io.to(ride.driver_id).emit('transaction_update', toTransactionUpdate(transaction));
+    return earning;
+  };
+
+  const postEarningLogged = (ride, settlement) =>
+    postEarning(ride, settlement).catch((err) => console.error(`Error posting earning for ride ${ride.id}:`, err.message));
+
+  rideEvents.on('transition', ({ ride, to }) => {
+    if (to !== 'completed') return;
+    if (isCashRide(ride)) {
+      postEarningLogged(ride, 'cash');
+    } else if (!isWalletPayment(ride.payment_method)) {
+      console.warn(`Ride ${ride.id} has unknown payment method ${ride.payment_method}; no earning posted`);
+    }
+  });
+
+  // Wallet rides only pay the driver once the rider's hold was captured, even
+  // when a promo left nothing to capture
+  rideEvents.on('captured', ({ ride }) => postEarningLogged(ride, 'digital'));
+
+  // Earnings for today or this week, with a per-day breakdown
+  const getSummary = async (driverId, period = 'day') => {
+    if (!['day', 'week'].includes(period)) {
+      throw new Error('period must be day or week');
+    }
+
+    const from = periodStart(period);
+    const { data: earnings, error } = await supabase
+      .from('driver_earnings')
+      .select('ride_id, gross_fare, commission, net_earning, settlement, created_at')
+      .eq('driver_id', driverId)
+      .gte('created_at', from.toISOString())
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const byDay = new Map();
+    earnings.forEach((earning) => {
+      const day = new Date(earning.created_at).toLocaleDateString('en-CA');
+      byDay.set(day, [...(byDay.get(day) || []), earning]);
+    });
+
+    const { balance } = await getWallet(supabase, driverId);
+    return {
+      period,
+      from: from.toISOString(),
+      to: new Date().toISOString(),
+      commissionRate: COMMISSION_RATE,
+      ...totals(earnings),
+      days: [...byDay].map(([date, dayEarnings]) => ({ date, ...totals(dayEarnings) })),
+      walletBalance: balance,
+    };
+  };
+
+  // Close a pending payout once the provider reports a final status
+  // (completed or failed). Failed payouts are returned to the wallet they
+  // came from.
+  const settlePayout = async (paymentRef, status) => {
+    if (status === 'pending') return null;
+
+    const { data: payout, error } = await supabase
+      .from('transactions')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('payment_ref', paymentRef)
+      .in('type', PAYOUT_TYPES)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!payout) return null; // unknown or already settled
+
+    if (status === 'failed') {
+      const { transaction: reversal } = await creditWallet(supabase, {
+        userId: payout.user_id,
+        amount: -payout.amount,
+        type: 'payout_reversal',
+        description: 'Failed payout returned to wallet',
+        counterAccount: providerAccount(payout.provider || 'monetbil'),
+      });
+      io.to(payout.user_id).emit('transaction_update', toTransactionUpdate(reversal));
+    }
+
+    io.to(payout.user_id).emit('transaction_update', toTransactionUpdate(payout));
+    console.log(`Payout ${paymentRef} ${status}`);
+    return payout;
+  };
+
+  const getPayout = async (paymentRef) => {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('payment_ref', paymentRef)
+      .in('type', PAYOUT_TYPES)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  // Ask the payout's provider where it stands and settle it if it's final
+  const checkPayout = async (paymentRef) => {
+    const payout = await getPayout(paymentRef);
+    if (!payout) return null;
+    const { status } = await getProvider(payout.provider).checkPayout(paymentRef);
+    await settlePayout(paymentRef, status);
+    return getPayout(paymentRef);
+  };
+
+  // Move money from a wallet to a mobile-money number. The wallet is debited
+  // up front and refunded only if the provider declines the payout; when the
+  // request fails in transit the payout stays pending and reconciliation
+  // finds out what happened. Refunds go out through the provider's refund
+  // call instead.
+  const startPayout = async ({ userId, amount, phone, type = 'payout', description }) => {
+    let payoutPhone = phone;
+    if (!payoutPhone) {
+      const { data: user, error } = await supabase.from('users').select('phone').eq('id', userId).maybeSingle();
+      if (error) throw error;
+      payoutPhone = user?.phone;
+    }
+    if (!payoutPhone) {
+      throw new Error('A phone number is required for mobile-money payouts');
+    }
+
+    const provider = defaultProvider();
+    const paymentRef = uuidv4();
+    const { transaction } = await debitWallet(supabase, {
+      userId,
+      amount,
+      type,
+      description: description || `Payout to ${payoutPhone} (${provider.displayName})`,
+      status: 'pending',
+      method: `${provider.displayName} payout`,
+      paymentRef,
+      provider: provider.name,
+      counterAccount: providerAccount(provider.name),
+    });
+    io.to(userId).emit('transaction_update', toTransactionUpdate(transaction));
+
+    try {
+      const send = type === 'refund_payout' ? provider.refund : provider.payout;
+      await send({ reference: paymentRef, phone: payoutPhone, amount });
+    } catch (err) {
+      if (!err.rejected) {
+        console.error(`Payout ${paymentRef} outcome unknown, left pending:`, err.message);
+        return transaction;
+      }
+      console.error(`Payout ${paymentRef} rejected:`, err.message);
+      await settlePayout(paymentRef, 'failed');
+      throw err;
+    }
+    return transaction;
+  };
+
+  // A driver cashing out their balance, always to the phone number on their
+  // profile so a stolen session can't send it anywhere else
+  const requestPayout = async ({ driverId, amount }) => {
+    if (!(typeof amount === 'number' && amount >= MIN_PAYOUT)) {
+      throw new Error(`Payouts must be at least ${MIN_PAYOUT} XAF`);
+    }
+    return startPayout({ userId: driverId, amount });
+  };
+
+  const listPayouts = async (driverId) => {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('payment_ref, amount, status, description, created_at, updated_at')
+      .eq('user_id', driverId)
+      .eq('type', 'payout')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data;
+  };
+
+  // Mounted behind requireUser; drivers only see and move their own money
+  const router = express.Router();
+
+  router.param('driverId', (req, res, next, driverId) => {
+    if (req.userId !== driverId || req.userRole !== 'driver') {
+      return res.status(403).json({ error: 'Drivers can only access their own earnings' });
+    }
+    next();
+  });
+
+  router.get('/:driverId/earnings', async (req, res) => {
+    try {
+      res.json(await getSummary(req.params.driverId, req.query.period));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/:driverId/payouts', async (req, res) => {
+    try {
+      res.json({ payouts: await listPayouts(req.params.driverId) });
+    } catch (error) {
+      console.error('Error listing payouts:', error.message);
+      res.status(500).json({ error: 'Failed to list payouts' });
+    }
+  });
+
+  router.post('/:driverId/payouts', async (req, res) => {
+    const { amount } = req.body;
+    try {
+      const payout = await requestPayout({ driverId: req.params.driverId, amount });
+      res.status(201).json({ payout: toTransactionUpdate(payout) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:driverId/payouts/:paymentRef/check', async (req, res) => {
+    try {
+      const payout = await getPayout(req.params.paymentRef);
+      if (!payout || payout.user_id !== req.params.driverId) {
+        return res.status(404).json({ error: 'Payout not found' });
+      }
+      const checked = payout.status === 'pending' ? await checkPayout(payout.payment_ref) : payout;
+      res.json({ payout: toTransactionUpdate(checked) });
+    } catch (error) {
+      console.error('Error checking payout:', error.message);
+      res.status(500).json({ error: 'Failed to check payout' });
+    }
+  });
+
+  return {
+    router,
+    getSummary,
+    startPayout,
+    requestPayout,
+    checkPayout,
+    settlePayout,
+  };
+};
+
+module.exports = { createEarningsService };
@@ -0,0 +1,68 @@
+// Live ETAs for riders. While a driver heads to the pickup, and then while
+// the trip is under way, the driver's location updates are periodically
+// turned into a fresh route and ETA that is pushed to the rider.
+
+const { getRide, pickupOf, dropoffOf, rideEvents } = require('./ride-lifecycle');
+const { getEta, routeTrip } = require('./routing');
+
+const REFRESH_INTERVAL_MS = (Number(process.env.ETA_REFRESH_SECONDS) || 20) * 1000;
+// Statuses where the driver is moving towards a target the rider cares about
+const TRACKED_STATUSES = ['accepted', 'confirmed', 'started'];
+
+// Current position of a driver as { lat, lng }, or null if never reported
+const getDriverPosition = async (supabase, driverId) => {
+  const { data, error } = await supabase.rpc('driver_position', { p_driver_id: driverId }).maybeSingle();
+  if (error) throw error;
+  return data ? { lat: data.lat, lng: data.lng } : null;
+};
+
+const createEtaTracker = ({ supabase, io, activeRides }) => {
+  // rideId -> time of the last ETA pushed for it
+  const lastRefresh = new Map();
+
+  // Route from the driver to the pickup, or to the dropoff through the stops
+  // not reached yet once the trip has started
+  const computeEta = async (ride, position) => {
+    if (ride.status !== 'started') {
+      return { target: 'pickup', ...(await getEta(position, pickupOf(ride))) };
+    }
+
+    const remainingStops = (ride.stops || []).filter((stop) => !stop.reached_at);
+    const route = await routeTrip(position, dropoffOf(ride), remainingStops);
+    return {
+      target: 'dropoff',
+      etaSeconds: route.durationSeconds,
+      distanceMeters: route.distanceMeters,
+      polyline: route.polyline,
+    };
+  };
+
+  const handleDriverLocation = async (driverId, lat, lng) => {
+    const active = await activeRides.rideForDriver(driverId);
+    if (!active || !TRACKED_STATUSES.includes(active.status)) return;
+
+    const now = Date.now();
+    if (now - (lastRefresh.get(active.id) || 0) < REFRESH_INTERVAL_MS) return;
+    lastRefresh.set(active.id, now);
+
+    const { ride } = await getRide(supabase, active.id);
+    if (!ride) return;
+
+    const eta = await computeEta(ride, { lat, lng });
+    io.to(ride.rider_id).emit('etaUpdate', {
+      rideId: ride.id,
+      ...eta,
+      arrivesAt: new Date(now + eta.etaSeconds * 1000).toISOString(),
+    });
+  };
+
+  // A status change means a new target, so the next update refreshes at once
+  rideEvents.on('transition', ({ ride }) => lastRefresh.delete(ride.id));
+
+  return { handleDriverLocation };
+};
+
+module.exports = {
+  getDriverPosition,
+  createEtaTracker,
+};
@@ -0,0 +1,169 @@
+const { pathDistance, isValidCoordinate } = require('./geo');
+
+// Read a non-negative number from the environment. Unset variables use the
+// default; 0 is a valid setting (e.g. a free per-minute rate). Values that
+// aren't numbers are reported and ignored rather than priced as NaN.
+const numberFromEnv = (name, fallback, { min = 0 } = {}) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  if (Number.isNaN(value) || value < min) {
+    console.error(`Invalid ${name}=${raw}: expected a number >= ${min}, using ${fallback}`);
+    return fallback;
+  }
+  return value;
+};
+
+// Fare settings in XAF. Each value can be overridden from the environment so
+// pricing changes don't require a new app build.
+const PRICING = {
+  baseFare: numberFromEnv('FARE_BASE', 500),
+  perKm: numberFromEnv('FARE_PER_KM', 250),
+  perMinute: numberFromEnv('FARE_PER_MINUTE', 25),
+  minimumFare: numberFromEnv('FARE_MINIMUM', 1000),
+  perStop: numberFromEnv('FARE_PER_STOP', 200),
+  // Fares are rounded up to a multiple of this, so it can't be 0
+  roundTo: numberFromEnv('FARE_ROUND_TO', 50, { min: 1 }),
+};
+
+const DEFAULT_RIDE_TYPE_MULTIPLIERS = {
+  moto: 0.6,
+  economy: 1,
+  comfort: 1.3,
+  xl: 1.6,
+  premium: 2,
+};
+
+// Multipliers applied on top of the base pricing, keyed by ride type.
+// FARE_RIDE_TYPES accepts a JSON object, e.g. {"economy":1,"comfort":1.3}.
+// A malformed value is reported and the defaults are used, so a bad setting
+// can't stop the server from booting.
+const parseRideTypes = (raw) => {
+  if (raw === undefined || raw.trim() === '') return DEFAULT_RIDE_TYPE_MULTIPLIERS;
+  try {
+    const parsed = JSON.parse(raw);
+    const entries = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? Object.entries(parsed) : [];
+    if (!entries.length || !entries.every(([, multiplier]) => typeof multiplier === 'number' && multiplier > 0)) {
+      throw new Error('expected an object of ride types to positive multipliers');
+    }
+    return Object.fromEntries(entries.map(([rideType, multiplier]) => [rideType.trim().toLowerCase(), multiplier]));
+  } catch (error) {
+    console.error(`Invalid FARE_RIDE_TYPES (${error.message}), using the default ride types`);
+    return DEFAULT_RIDE_TYPE_MULTIPLIERS;
+  }
+};
+
+const RIDE_TYPE_MULTIPLIERS = parseRideTypes(process.env.FARE_RIDE_TYPES);
+
+// Straight-line distance is shorter than the road network; stretch it and
+// assume an average city speed when no router result is available.
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 25;
+
+const normalizeRideType = (rideType) => String(rideType || '').trim().toLowerCase();
+
+const isSupportedRideType = (rideType) =>
+  Object.prototype.hasOwnProperty.call(RIDE_TYPE_MULTIPLIERS, normalizeRideType(rideType));
+
+const MAX_STOPS = numberFromEnv('MAX_RIDE_STOPS', 3);
+
+// Check the intermediate stops of a ride: an array of { lat, lng, address }
+const validateStops = (stops) => {
+  if (!Array.isArray(stops) || stops.length > MAX_STOPS) {
+    throw new Error(`Invalid stops: up to ${MAX_STOPS} stops allowed`);
+  }
+  if (!stops.every(isValidCoordinate)) {
+    throw new Error('Invalid stops: lat/lng must be numbers');
+  }
+};
+
+// Estimate road distance (meters) and duration (seconds) from pickup to
+// dropoff through any intermediate stops, summed leg by leg
+const estimateTrip = (pickup, dropoff, stops = []) => {
+  const straightLine = pathDistance([pickup, ...stops, dropoff]);
+  const distanceMeters = Math.round(straightLine * ROAD_DISTANCE_FACTOR);
+  const durationSeconds = Math.round(distanceMeters / ((AVERAGE_SPEED_KMH * 1000) / 3600));
+  return { distanceMeters, durationSeconds };
+};
+
+// Price a trip of known distance and duration for one ride type. The surge
+// multiplier applies on top of the minimum fare. Trips in a fixed-fare zone
+// pay fixedFare instead of the distance and time charges, without surge.
+const calculateFare = ({
+  distanceMeters,
+  durationSeconds,
+  rideType,
+  stopCount = 0,
+  surgeMultiplier = 1,
+  fixedFare = null,
+}) => {
+  const type = normalizeRideType(rideType);
+  if (!isSupportedRideType(type)) {
+    throw new Error(`Unsupported ride type: ${rideType}`);
+  }
+
+  const multiplier = RIDE_TYPE_MULTIPLIERS[type];
+  const stopCharge = stopCount * PRICING.perStop;
+
+  if (fixedFare) {
+    const fare = Math.ceil(((fixedFare + stopCharge) * multiplier) / PRICING.roundTo) * PRICING.roundTo;
+    return {
+      fare,
+      breakdown: { fixedFare, stopCharge, rideTypeMultiplier: multiplier, surgeMultiplier: 1 },
+    };
+  }
+
+  const distanceCharge = (distanceMeters / 1000) * PRICING.perKm;
+  const timeCharge = (durationSeconds / 60) * PRICING.perMinute;
+  const subtotal = (PRICING.baseFare + distanceCharge + timeCharge + stopCharge) * multiplier;
+  const surged = Math.max(subtotal, PRICING.minimumFare) * surgeMultiplier;
+  const fare = Math.ceil(surged / PRICING.roundTo) * PRICING.roundTo;
+
+  return {
+    fare,
+    breakdown: {
+      baseFare: PRICING.baseFare,
+      distanceCharge: Math.round(distanceCharge),
+      timeCharge: Math.round(timeCharge),
+      stopCharge,
+      rideTypeMultiplier: multiplier,
+      minimumFare: PRICING.minimumFare,
+      surgeMultiplier,
+    },
+  };
+};
+
+// Quote a fare for a pickup/dropoff pair with optional stops in between.
+// Without a rideType, every supported ride type is quoted so the app can
+// render its price list. route is the routing result for the trip when the
+// caller has one; otherwise distance and duration are estimated.
+const quoteFare = ({ pickup, dropoff, stops = [], rideType, surgeMultiplier = 1, route = null, fixedFare = null }) => {
+  if (!isValidCoordinate(pickup) || !isValidCoordinate(dropoff)) {
+    throw new Error('Invalid pickup or dropoff: lat/lng must be numbers');
+  }
+  validateStops(stops);
+
+  const { distanceMeters, durationSeconds } = route || estimateTrip(pickup, dropoff, stops);
+  const stopCount = stops.length;
+  const rideTypes = rideType ? [normalizeRideType(rideType)] : Object.keys(RIDE_TYPE_MULTIPLIERS);
+
+  const quotes = rideTypes.map((type) => ({
+    rideType: type,
+    currency: 'XAF',
+    distanceMeters,
+    durationSeconds,
+    ...calculateFare({ distanceMeters, durationSeconds, rideType: type, stopCount, surgeMultiplier, fixedFare }),
+  }));
+
+  return rideType ? quotes[0] : quotes;
+};
+
+module.exports = {
+  PRICING,
+  RIDE_TYPE_MULTIPLIERS,
+  isSupportedRideType,
+  validateStops,
+  estimateTrip,
+  calculateFare,
+  quoteFare,
+};
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateFare, quoteFare, estimateTrip, isSupportedRideType, validateStops } = require('./fares');
+
+// Load fares.js afresh with some fare settings in the environment
+const loadFaresWith = (env) => {
+  const saved = Object.fromEntries(Object.keys(env).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  delete require.cache[require.resolve('./fares')];
+  try {
+    return require('./fares');
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    delete require.cache[require.resolve('./fares')];
+  }
+};
+
+const DOUALA = { lat: 4.0511, lng: 9.7679 };
+const BONABERI = { lat: 4.0722, lng: 9.6712 };
+
+test('calculateFare adds base, distance and time charges', () => {
+  // 500 + 10 km * 250 + 20 min * 25
+  const { fare, breakdown } = calculateFare({ distanceMeters: 10000, durationSeconds: 1200, rideType: 'economy' });
+  assert.strictEqual(fare, 3500);
+  assert.strictEqual(breakdown.distanceCharge, 2500);
+  assert.strictEqual(breakdown.timeCharge, 500);
+});
+
+test('calculateFare applies the ride type multiplier', () => {
+  assert.strictEqual(calculateFare({ distanceMeters: 10000, durationSeconds: 1200, rideType: 'comfort' }).fare, 4550);
+  assert.strictEqual(calculateFare({ distanceMeters: 10000, durationSeconds: 1200, rideType: 'moto' }).fare, 2100);
+});
+
+test('calculateFare rounds up to the next 50 XAF', () => {
+  // 500 + 2502.5 + 500
+  assert.strictEqual(calculateFare({ distanceMeters: 10010, durationSeconds: 1200, rideType: 'economy' }).fare, 3550);
+});
+
+test('calculateFare charges each stop', () => {
+  const { fare, breakdown } = calculateFare({ distanceMeters: 10000, durationSeconds: 1200, rideType: 'economy', stopCount: 2 });
+  assert.strictEqual(breakdown.stopCharge, 400);
+  assert.strictEqual(fare, 3900);
+});
+
+test('calculateFare applies surge on top of the minimum fare', () => {
+  const short = { distanceMeters: 1000, durationSeconds: 120, rideType: 'economy' };
+  assert.strictEqual(calculateFare(short).fare, 1000);
+  assert.strictEqual(calculateFare({ ...short, surgeMultiplier: 1.5 }).fare, 1500);
+  assert.strictEqual(calculateFare({ distanceMeters: 10000, durationSeconds: 1200, rideType: 'economy', surgeMultiplier: 1.3 }).fare, 4550);
+});
+
+test('calculateFare charges a fixed fare without surge', () => {
+  const economy = calculateFare({ rideType: 'economy', stopCount: 1, surgeMultiplier: 2, fixedFare: 3000 });
+  assert.strictEqual(economy.fare, 3200);
+  assert.strictEqual(economy.breakdown.surgeMultiplier, 1);
+  // 3200 * 1.3 = 4160, rounded up
+  assert.strictEqual(calculateFare({ rideType: 'comfort', fixedFare: 3000, stopCount: 1 }).fare, 4200);
+});
+
+test('calculateFare rejects unknown ride types', () => {
+  assert.throws(() => calculateFare({ distanceMeters: 1000, durationSeconds: 60, rideType: 'limo' }), /Unsupported ride type/);
+});
+
+test('isSupportedRideType ignores case and whitespace', () => {
+  assert.strictEqual(isSupportedRideType(' Comfort '), true);
+  assert.strictEqual(isSupportedRideType('limo'), false);
+  assert.strictEqual(isSupportedRideType(undefined), false);
+});
+
+test('validateStops allows up to three valid stops', () => {
+  const stop = { lat: 4.06, lng: 9.7 };
+  assert.doesNotThrow(() => validateStops([stop, stop, stop]));
+  assert.throws(() => validateStops([stop, stop, stop, stop]), /up to 3 stops/);
+  assert.throws(() => validateStops([{ lat: '4.06', lng: 9.7 }]), /lat\/lng must be numbers/);
+  assert.throws(() => validateStops('none'), /Invalid stops/);
+});
+
+test('estimateTrip stretches the straight line for the road network', () => {
+  const { distanceMeters, durationSeconds } = estimateTrip({ lat: 0, lng: 0 }, { lat: 0.1, lng: 0 });
+  // 11119.5 m straight, * 1.3 road factor, at 25 km/h
+  assert.strictEqual(distanceMeters, 14455);
+  assert.strictEqual(durationSeconds, 2082);
+});
+
+test('quoteFare prices the routed trip when there is one', () => {
+  const quote = quoteFare({
+    pickup: DOUALA,
+    dropoff: BONABERI,
+    rideType: 'economy',
+    route: { distanceMeters: 10000, durationSeconds: 1200 },
+  });
+  assert.strictEqual(quote.fare, 3500);
+  assert.strictEqual(quote.currency, 'XAF');
+  assert.strictEqual(quote.rideType, 'economy');
+});
+
+test('quoteFare quotes every ride type without a rideType', () => {
+  const quotes = quoteFare({ pickup: DOUALA, dropoff: BONABERI });
+  assert.deepStrictEqual(
+    quotes.map((quote) => quote.rideType),
+    ['moto', 'economy', 'comfort', 'xl', 'premium']
+  );
+  assert.ok(quotes.every((quote) => quote.fare >= 1000 && quote.fare % 50 === 0));
+});
+
+test('quoteFare rejects invalid coordinates', () => {
+  assert.throws(() => quoteFare({ pickup: { lat: 91, lng: 0 }, dropoff: BONABERI }), /Invalid pickup or dropoff/);
+  assert.throws(() => quoteFare({ pickup: DOUALA, dropoff: null }), /Invalid pickup or dropoff/);
+});
+
+test('fare settings can be set to 0 from the environment', () => {
+  const { calculateFare: calculate, PRICING } = loadFaresWith({ FARE_PER_MINUTE: '0', FARE_MINIMUM: '0' });
+  assert.strictEqual(PRICING.perMinute, 0);
+  assert.strictEqual(calculate({ distanceMeters: 10000, durationSeconds: 1200, rideType: 'economy' }).fare, 3000);
+});
+
+test('invalid fare settings fall back to the defaults', (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const { PRICING, RIDE_TYPE_MULTIPLIERS } = loadFaresWith({
+    FARE_BASE: 'abc',
+    FARE_ROUND_TO: '0',
+    FARE_RIDE_TYPES: '{"economy": -1}',
+  });
+  assert.strictEqual(PRICING.baseFare, 500);
+  assert.strictEqual(PRICING.roundTo, 50);
+  assert.strictEqual(RIDE_TYPE_MULTIPLIERS.economy, 1);
+  assert.strictEqual(logged.mock.callCount(), 3);
+});
+
+test('FARE_RIDE_TYPES replaces the ride types', () => {
+  const { RIDE_TYPE_MULTIPLIERS, isSupportedRideType: isSupported } = loadFaresWith({
+    FARE_RIDE_TYPES: '{"Economy": 1, "van": 1.8}',
+  });
+  assert.deepStrictEqual(RIDE_TYPE_MULTIPLIERS, { economy: 1, van: 1.8 });
+  assert.strictEqual(isSupported('van'), true);
+  assert.strictEqual(isSupported('moto'), false);
+});
@@ -0,0 +1,180 @@
+// Geographic helpers shared by pricing, dispatch and tracking
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Check that a { lat, lng } object holds usable coordinates
+const isValidCoordinate = (point) =>
+  !!point &&
+  typeof point.lat === 'number' &&
+  typeof point.lng === 'number' &&
+  Math.abs(point.lat) <= 90 &&
+  Math.abs(point.lng) <= 180;
+
+// Great-circle distance in meters between two { lat, lng } points
+const haversineDistance = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Geohash cell containing a point; precision 5 is roughly 5km x 5km
+const encodeGeohash = (lat, lng, precision = 5) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    charIndex <<= 1;
+    if (value >= mid) {
+      charIndex |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+  return hash;
+};
+
+// Bounds and center of a geohash cell
+const decodeGeohash = (hash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const charIndex = GEOHASH_ALPHABET.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((charIndex >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    center: { lat: (latRange[0] + latRange[1]) / 2, lng: (lngRange[0] + lngRange[1]) / 2 },
+    bounds: { south: latRange[0], north: latRange[1], west: lngRange[0], east: lngRange[1] },
+  };
+};
+
+// Total length in meters of a path of { lat, lng } points
+const pathDistance = (points) =>
+  points.slice(1).reduce((total, point, i) => total + haversineDistance(points[i], point), 0);
+
+// Google encoded polyline (precision 5) for a path of { lat, lng } points
+const encodePolyline = (points) => {
+  let previousLat = 0;
+  let previousLng = 0;
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let encoded = '';
+    while (remaining >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return encoded + String.fromCharCode(remaining + 63);
+  };
+
+  return points
+    .map(({ lat, lng }) => {
+      const roundedLat = Math.round(lat * 1e5);
+      const roundedLng = Math.round(lng * 1e5);
+      const encoded = encodeValue(roundedLat - previousLat) + encodeValue(roundedLng - previousLng);
+      previousLat = roundedLat;
+      previousLng = roundedLng;
+      return encoded;
+    })
+    .join('');
+};
+
+// Ray casting test of a point against one GeoJSON ring of [lng, lat] positions
+const isInRing = ({ lat, lng }, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    if (latI > lat !== latJ > lat && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Whether a { lat, lng } point lies inside a GeoJSON Polygon (holes excluded)
+const isInPolygon = (point, polygon) => {
+  const [outer, ...holes] = polygon.coordinates;
+  return isInRing(point, outer) && !holes.some((hole) => isInRing(point, hole));
+};
+
+// Check a GeoJSON Polygon: closed rings of at least four valid positions
+const isValidPolygon = (polygon) =>
+  polygon?.type === 'Polygon' &&
+  Array.isArray(polygon.coordinates) &&
+  polygon.coordinates.length > 0 &&
+  polygon.coordinates.every(
+    (ring) =>
+      Array.isArray(ring) &&
+      ring.length >= 4 &&
+      ring.every((position) => Array.isArray(position) && isValidCoordinate({ lng: position[0], lat: position[1] })) &&
+      ring[0][0] === ring[ring.length - 1][0] &&
+      ring[0][1] === ring[ring.length - 1][1]
+  );
+
+// Approximate distance in meters from a point outside a polygon to its
+// boundary, projecting each edge onto a local flat plane around the point
+const distanceToPolygon = (point, polygon) => {
+  if (isInPolygon(point, polygon)) return 0;
+
+  const metersPerDegreeLat = (Math.PI * EARTH_RADIUS_METERS) / 180;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRadians(point.lat));
+  const project = ([lng, lat]) => [(lng - point.lng) * metersPerDegreeLng, (lat - point.lat) * metersPerDegreeLat];
+
+  let nearest = Infinity;
+  polygon.coordinates.forEach((ring) => {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = project(ring[i - 1]);
+      const [bx, by] = project(ring[i]);
+      const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+      const t = lengthSquared ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared)) : 0;
+      nearest = Math.min(nearest, Math.hypot(ax + t * (bx - ax), ay + t * (by - ay)));
+    }
+  });
+  return nearest;
+};
+
+module.exports = {
+  isValidCoordinate,
+  haversineDistance,
+  pathDistance,
+  encodePolyline,
+  isInPolygon,
+  isValidPolygon,
+  distanceToPolygon,
+  encodeGeohash,
+  decodeGeohash,
+};
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  isValidCoordinate,
+  haversineDistance,
+  pathDistance,
+  encodePolyline,
+  isInPolygon,
+  isValidPolygon,
+  distanceToPolygon,
+  encodeGeohash,
+  decodeGeohash,
+} = require('./geo');
+
+// A square of about 1.1 km a side with a hole in its middle
+const SQUARE = {
+  type: 'Polygon',
+  coordinates: [
+    [[0, 0], [0.01, 0], [0.01, 0.01], [0, 0.01], [0, 0]],
+    [[0.004, 0.004], [0.006, 0.004], [0.006, 0.006], [0.004, 0.006], [0.004, 0.004]],
+  ],
+};
+
+test('isValidCoordinate accepts numbers within range only', () => {
+  assert.strictEqual(isValidCoordinate({ lat: 4.05, lng: 9.77 }), true);
+  assert.strictEqual(isValidCoordinate({ lat: -90, lng: 180 }), true);
+  assert.strictEqual(isValidCoordinate({ lat: 90.1, lng: 0 }), false);
+  assert.strictEqual(isValidCoordinate({ lat: '4.05', lng: 9.77 }), false);
+  assert.strictEqual(isValidCoordinate(null), false);
+});
+
+test('haversineDistance measures great-circle distance in meters', () => {
+  // One degree along a meridian
+  assert.ok(Math.abs(haversineDistance({ lat: 0, lng: 0 }, { lat: 1, lng: 0 }) - 111195) < 1);
+  assert.strictEqual(haversineDistance({ lat: 4, lng: 9 }, { lat: 4, lng: 9 }), 0);
+});
+
+test('pathDistance sums the legs of a path', () => {
+  const points = [{ lat: 0, lng: 0 }, { lat: 0.5, lng: 0 }, { lat: 1, lng: 0 }];
+  assert.ok(Math.abs(pathDistance(points) - 111195) < 1);
+  assert.strictEqual(pathDistance([{ lat: 0, lng: 0 }]), 0);
+});
+
+test('encodePolyline matches the Google reference encoding', () => {
+  const points = [
+    { lat: 38.5, lng: -120.2 },
+    { lat: 40.7, lng: -120.95 },
+    { lat: 43.252, lng: -126.453 },
+  ];
+  assert.strictEqual(encodePolyline(points), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  assert.strictEqual(encodePolyline([]), '');
+});
+
+test('encodeGeohash matches the reference encoding', () => {
+  assert.strictEqual(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  assert.strictEqual(encodeGeohash(57.64911, 10.40744), 'u4pru');
+});
+
+test('decodeGeohash returns the cell around the encoded point', () => {
+  const { center, bounds } = decodeGeohash(encodeGeohash(4.0511, 9.7679));
+  assert.ok(bounds.south <= 4.0511 && 4.0511 <= bounds.north);
+  assert.ok(bounds.west <= 9.7679 && 9.7679 <= bounds.east);
+  assert.ok(Math.abs(center.lat - 4.0511) < 0.03 && Math.abs(center.lng - 9.7679) < 0.03);
+});
+
+test('isInPolygon excludes holes', () => {
+  assert.strictEqual(isInPolygon({ lat: 0.002, lng: 0.002 }, SQUARE), true);
+  assert.strictEqual(isInPolygon({ lat: 0.005, lng: 0.005 }, SQUARE), false);
+  assert.strictEqual(isInPolygon({ lat: 0.02, lng: 0.002 }, SQUARE), false);
+});
+
+test('isValidPolygon requires closed rings of four positions', () => {
+  assert.strictEqual(isValidPolygon(SQUARE), true);
+  assert.strictEqual(isValidPolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }), false);
+  assert.strictEqual(isValidPolygon({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] }), false);
+  assert.strictEqual(isValidPolygon({ type: 'Polygon', coordinates: [[[0, 0], [200, 0], [1, 1], [0, 0]]] }), false);
+  assert.strictEqual(isValidPolygon({ type: 'Point', coordinates: [0, 0] }), false);
+});
+
+test('distanceToPolygon is 0 inside and the gap to the boundary outside', () => {
+  assert.strictEqual(distanceToPolygon({ lat: 0.002, lng: 0.002 }, SQUARE), 0);
+  // 0.01 degrees of longitude east of the square, at the equator
+  const distance = distanceToPolygon({ lat: 0.005, lng: 0.02 }, SQUARE);
+  assert.ok(Math.abs(distance - 1112) < 2);
+});
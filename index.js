@@ -9,6 +9,33 @@ const http = require('http');
 const authRoutes = require('./auth');
 const rideRoutes = require('./rides');
 const monetbilRoutes = require('./webhook-monetbil');
+const { quoteFare, isSupportedRideType } = require('./fares');
+const { createDispatcher } = require('./dispatch');
+const { ACTIVE_STATUSES, getRide, pickupOf, transitionRide } = require('./ride-lifecycle');
+const { generateTripPin, verifyTripPin, summarizeTrip } = require('./trips');
+const { isScheduledBooking, createScheduler } = require('./scheduler');
+const { rateRide, getUserRating } = require('./ratings');
+const { getCancellationFee, loadCancellableRide, cancelRide } = require('./cancellation');
+const { toTransactionUpdate } = require('./wallet');
+const { createSurgeMonitor } = require('./surge');
+const { addStop, removeStop, markStopReached } = require('./stops');
+const { createTripSharing } = require('./trip-sharing');
+const { createSosService } = require('./sos');
+const { createActiveRideCache } = require('./active-rides');
+const { createTrailRecorder, getTrail, toPolyline } = require('./trail');
+const { routeTrip, getEta } = require('./routing');
+const { createEtaTracker, getDriverPosition } = require('./eta');
+const { createServiceAreas } = require('./service-areas');
+const { requireUser, requireAdmin } = require('./admin');
+const { createEarningsService } = require('./earnings');
+const { isSupportedPaymentMethod, isWalletPayment, createRidePayments } = require('./ride-payments');
+const ledger = require('./ledger');
+const webhookInbox = require('./webhook-inbox');
+const { createReconciler } = require('./reconciliation');
+const { createRefunds } = require('./refunds');
+const { discountedAmount, createPromotions } = require('./promotions');
+const { createReferrals } = require('./referrals');
+const { authenticateSocket } = require('./socket-auth');
 
 require('dotenv').config();
 console.log('Starting server...');
@@ -73,6 +100,65 @@ app.use(express.urlencoded({ extended: true }));
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 console.log('Supabase client initialized');
 
+// Which ride each driver is on, for the per-location-update consumers below
+const activeRides = createActiveRideCache({ supabase });
+
+// Served areas, restricted zones and airport driver queues
+const serviceAreas = createServiceAreas({ supabase, io, activeRides });
+
+// Ride dispatch offers requests to nearby drivers one at a time
+const dispatcher = createDispatcher({ supabase, io, serviceAreas });
+
+// Live surge multipliers per zone, applied to fare quotes
+const surge = createSurgeMonitor({ supabase, io });
+
+// Future-dated rides are held back and released to the dispatcher before pickup
+const scheduler = createScheduler({ supabase, io, dispatcher });
+
+// Read-only live trip links for riders' trusted contacts
+const tripSharing = createTripSharing({ supabase, io, activeRides });
+
+// GPS breadcrumbs of every active ride, for final distance and route replay
+const trail = createTrailRecorder({ supabase, activeRides });
+
+// Live ETAs pushed to riders as their driver moves
+const etaTracker = createEtaTracker({ supabase, io, activeRides });
+
+// Emergency alerts raised during a trip
+const sos = createSosService({ supabase, io, tripSharing });
+
+// Driver earnings posted on ride completion, and mobile-money payouts
+const earnings = createEarningsService({ supabase, io });
+
+// Wallet-paid rides: fare held at request time, captured at completion
+const ridePayments = createRidePayments({ supabase, io });
+
+// Promo codes for rides and orders
+const promotions = createPromotions({ supabase, io });
+
+// Referral codes and the rewards for a referee's first ride or order
+const referrals = createReferrals({ supabase, io });
+
+// Support refunds to the wallet or back to mobile money
+const refunds = createRefunds({ supabase, io, earnings });
+
+// Shared with the REST routes through req.app.get()
+app.set('io', io);
+app.set('dispatcher', dispatcher);
+app.set('scheduler', scheduler);
+app.set('surge', surge);
+app.set('tripSharing', tripSharing);
+app.set('sos', sos);
+app.set('serviceAreas', serviceAreas);
+app.set('earnings', earnings);
+app.set('ridePayments', ridePayments);
+app.set('refunds', refunds);
+app.set('promotions', promotions);
+app.set('referrals', referrals);
+
+// Applies provider statuses through the webhook processors, which read the
+// services above from the app
+const reconciler = createReconciler({ supabase, app });
 
 // Pass Supabase client to routes
 app.use((req, res, next) => {
@@ -82,8 +168,17 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/rides', rideRoutes);
+app.use('/api/rides', requireUser, rideRoutes);
 app.use('/api', monetbilRoutes);
+app.use('/api/share', tripSharing.router);
+app.use('/api/admin/service-areas', requireAdmin, serviceAreas.router);
+app.use('/api/admin/ledger', requireAdmin, ledger.router);
+app.use('/api/admin/webhooks', requireAdmin, webhookInbox.router);
+app.use('/api/admin/reconciliation', requireAdmin, reconciler.router);
+app.use('/api/admin/refunds', requireAdmin, refunds.router);
+app.use('/api/admin/promotions', requireAdmin, promotions.router);
+app.use('/api/drivers', requireUser, earnings.router);
+app.use('/api/referrals', requireUser, referrals.router);
 
 // Health check route
 app.get('/', (req, res) => res.send('Car Hailing Backend'));
@@ -130,17 +225,53 @@ supabase
   })
   .subscribe();
 
+// Every socket carries a verified user; see socket-auth.js
+io.use(authenticateSocket(supabase));
+
 io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
+  const { id: userId, role } = socket.data.user;
+  console.log(`A user connected: ${socket.id} (${role || 'no role'} ${userId})`);
+
+  // Everything addressed to one user (ride offers, dispatch outcomes, wallet
+  // updates) is emitted to a room named after their id
+  socket.join(userId);
+
+  const requireDriver = () => {
+    if (role !== 'driver') {
+      throw new Error('Only drivers can do this');
+    }
+  };
+
+  // Business owners manage their own businesses' items and orders
+  const ownsBusiness = async (businessId) => {
+    const { data: business, error } = await supabase
+      .from('businesses')
+      .select('owner_id')
+      .eq('id', businessId)
+      .maybeSingle();
+    if (error) throw error;
+    return business?.owner_id === userId;
+  };
+
+  // Only the rider and driver of a chat can read or write it
+  const isChatMember = async (chatId) => {
+    const { data: chat, error } = await supabase
+      .from('chats')
+      .select('rider_id, driver_id')
+      .eq('id', chatId)
+      .maybeSingle();
+    if (error) throw error;
+    return Boolean(chat) && [chat.rider_id, chat.driver_id].includes(userId);
+  };
 
   socket.on('updateLocation', async (data) => {
     console.log('Received updateLocation:', data);
-    const { userId, lat, lng, role } = data;
+    const { lat, lng } = data;
     try {
-      if (!userId || isNaN(lat) || isNaN(lng)) {
+      if (isNaN(lat) || isNaN(lng)) {
         throw new Error('Invalid updateLocation data');
       }
-      const validRole = ['driver', 'rider'].includes(role) ? role : 'rider';
+      const validRole = role === 'driver' ? 'driver' : 'rider';
       const { error } = await supabase
         .rpc('upsert_user_location', {
           p_user_id: userId,
@@ -150,6 +281,10 @@ io.on('connection', (socket) => {
           p_updated_at: new Date().toISOString(),
         });
       if (error) throw error;
+      if (validRole === 'rider') {
+        surge.trackRider(socket, { lat, lng });
+      }
+      sos.handleLocation(userId, lat, lng);
       console.log(`Saved location for ${validRole} ${userId}`);
     } catch (err) {
       console.error('Unexpected error in updateLocation:', err.message);
@@ -158,12 +293,12 @@ io.on('connection', (socket) => {
 
   socket.on('requestNearbyDrivers', async (riderData) => {
     console.log('Received requestNearbyDrivers:', riderData);
-    const { userId: riderId, lat, lng } = riderData;
+    const { lat, lng } = riderData;
+    const riderId = userId;
     try {
       // Validate inputs
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      if (!riderId || !uuidRegex.test(riderId) || isNaN(lat) || isNaN(lng)) {
-        throw new Error('Invalid riderData: userId must be a valid UUID, lat/lng must be numbers');
+      if (isNaN(lat) || isNaN(lng)) {
+        throw new Error('Invalid riderData: lat/lng must be numbers');
       }
   
       // Update rider location
@@ -206,36 +341,52 @@ io.on('connection', (socket) => {
   socket.on('newRideRequest', async (rideData) => {
     console.log('Received newRideRequest:', rideData);
     const {
-      riderId,
       rideType,
-      distance, // meters, number
-      cost, // from frontend pricelist.ts
+      cost, // client-side estimate, only used to log mismatches
       passenger = 'John Doe',
-      rating = 4.8,
       pickup, // { address: string, lat: number, lng: number }
       dropoff, // { address: string, lat: number, lng: number }
-      eta,
-      duration,
+      stops = [], // ordered waypoints between pickup and dropoff, same shape
       bookingDate = null,
       passengerCount = 1,
       paymentMethod = 'Cash',
+      promoCode = null,
     } = rideData;
+    const riderId = userId;
 
     try {
       // Validate inputs
-      if (!riderId || !rideType || !distance || !cost || !pickup || !dropoff) {
-        throw new Error('Missing required fields: riderId, rideType, distance, cost, pickup, dropoff');
-      }
-      if (typeof cost !== 'number' || cost <= 0) {
-        throw new Error('Invalid cost: must be a positive number');
-      }
-      if (typeof distance !== 'number' || distance <= 0) {
-        throw new Error('Invalid distance: must be a positive number');
+      if (!rideType || !pickup || !dropoff) {
+        throw new Error('Missing required fields: rideType, pickup, dropoff');
       }
       if (typeof pickup !== 'object' || typeof dropoff !== 'object') {
         throw new Error('Invalid pickup or dropoff: must be JSON objects');
       }
+      if (!isSupportedRideType(rideType)) {
+        throw new Error(`Unsupported ride type: ${rideType}`);
+      }
+      if (!isSupportedPaymentMethod(paymentMethod)) {
+        throw new Error(`Unsupported payment method: ${paymentMethod}`);
+      }
+
+      const coverageError = serviceAreas.checkTrip({ pickup, dropoff, stops });
+      if (coverageError) {
+        socket.emit('serviceAreaError', coverageError);
+        return;
+      }
+
+      // The route and fare are always computed server-side; the client's cost
+      // is ignored. The current surge multiplier is locked into the request.
+      const surgeMultiplier = surge.getMultiplier(pickup);
+      const fixedFare = serviceAreas.fixedFareFor({ pickup, dropoff });
+      const route = await routeTrip(pickup, dropoff, stops);
+      const quote = quoteFare({ pickup, dropoff, stops, rideType, surgeMultiplier, route, fixedFare });
+      if (cost && cost !== quote.fare) {
+        console.warn(`Client cost ${cost} differs from server fare ${quote.fare} for rider ${riderId}`);
+      }
 
+      const scheduled = isScheduledBooking(bookingDate);
+      const { average: rating } = await getUserRating(supabase, riderId);
       const rideRequest = {
         id: uuidv4(),
         rider_id: riderId,
@@ -244,72 +395,284 @@ io.on('connection', (socket) => {
         rating,
         pickup, // jsonb
         dropoff, // jsonb
-        fare: cost, // real, XAF
-        eta,
-        status: 'pending',
+        stops: stops.map(({ address = null, lat, lng }) => ({ address, lat, lng, reached_at: null })), // jsonb
+        fare: quote.fare, // real, XAF
+        eta: null, // seconds from the driver to the pickup, set in acceptRide
+        status: scheduled ? 'scheduled' : 'pending',
         created_at: new Date().toISOString(),
         ridetype: rideType,
-        distance: `${distance} m`, // text
-        duration,
+        distance: `${quote.distanceMeters} m`, // text
+        duration: route.durationSeconds,
+        route_polyline: route.polyline,
         booking_date: bookingDate,
+        surge_multiplier: surgeMultiplier,
+        fixed_fare: fixedFare,
         passenger_count: passengerCount,
         payment_method: paymentMethod,
+        promo_code: null,
+        discount: 0,
       };
 
-      const { error } = await supabase
-        .from('ride_requests')
-        .insert(rideRequest);
+      // The promo discount is locked in now; a code that no longer applies
+      // stops the booking so the rider isn't charged more than quoted
+      if (promoCode) {
+        try {
+          const { code, discount } = await promotions.redeem({
+            code: promoCode,
+            userId: riderId,
+            target: { kind: 'ride' },
+            amount: quote.fare,
+            rideId: rideRequest.id,
+          });
+          rideRequest.promo_code = code;
+          rideRequest.discount = discount;
+        } catch (promoError) {
+          socket.emit('promoCodeError', { code: promoCode, message: promoError.message });
+          return;
+        }
+      }
+      const riderFare = discountedAmount(quote.fare, rideRequest.discount);
+
+      // Wallet rides hold the fare up front; riders who can't cover it are
+      // turned away before anything is dispatched
+      const walletPayment = isWalletPayment(paymentMethod);
+      try {
+        if (walletPayment) {
+          const funds = await ridePayments.checkFunds(riderId, riderFare);
+          if (!funds.sufficient) {
+            socket.emit('insufficientFunds', { fare: riderFare, required: funds.required, balance: funds.balance });
+            if (rideRequest.promo_code) await promotions.release({ rideId: rideRequest.id });
+            return;
+          }
+          await ridePayments.holdRideFare({ riderId, rideId: rideRequest.id, fare: riderFare });
+        }
 
-      if (error) {
-        console.error('Error saving ride request:', error);
-        throw error;
+        const { error } = await supabase
+          .from('ride_requests')
+          .insert(rideRequest);
+
+        if (error) {
+          console.error('Error saving ride request:', error);
+          if (walletPayment) await ridePayments.settleHold(rideRequest, 0);
+          throw error;
+        }
+      } catch (bookingError) {
+        if (rideRequest.promo_code) await promotions.release({ rideId: rideRequest.id });
+        throw bookingError;
       }
 
-      io.emit('rideRequest', rideRequest);
-      console.log('Emitted rideRequest:', rideRequest);
+      if (scheduled) {
+        scheduler.schedule(rideRequest);
+        socket.emit('rideScheduled', { rideId: rideRequest.id, bookingDate, fare: rideRequest.fare, discount: rideRequest.discount });
+      } else {
+        await dispatcher.dispatch(rideRequest);
+      }
     } catch (err) {
       console.error('Error in newRideRequest:', err.message);
       socket.emit('error', { message: 'Failed to create ride request', error: err.message });
     }
   });
 
-  socket.on("acceptRide", async ({ driverId, requestId }) => {
+  // Riders can change a scheduled ride until it is released to dispatch
+  socket.on('editScheduledRide', async (data) => {
+    const { rideId, bookingDate, pickup, dropoff, rideType } = data;
     try {
-      // Fetch ride to validate
-      const { data: ride, error: fetchError } = await supabase
-        .from("ride_requests")
-        .select("*")
-        .eq("id", requestId)
-        .eq("status", "pending")
-        .maybeSingle();
-  
-      if (fetchError) {
-        console.error("Error fetching ride:", fetchError);
-        throw new Error("Database error");
+      const { ride } = await getRide(supabase, rideId);
+      if (!ride || ride.rider_id !== userId || ride.status !== 'scheduled') {
+        throw new Error('Scheduled ride not found or already released');
       }
-  
-      if (!ride) {
-        console.log(`Ride ${requestId} not found or not pending`);
-        socket.emit("error", { message: "Ride not available or already processed" });
+      if (rideType && !isSupportedRideType(rideType)) {
+        throw new Error(`Unsupported ride type: ${rideType}`);
+      }
+
+      const updates = {};
+      if (bookingDate) {
+        if (!isScheduledBooking(bookingDate)) {
+          throw new Error('Booking date is too soon to keep the ride scheduled; cancel and book now instead');
+        }
+        updates.booking_date = bookingDate;
+      }
+      if (pickup) updates.pickup = pickup;
+      if (dropoff) updates.dropoff = dropoff;
+      if (rideType) updates.ridetype = rideType;
+
+      // Re-price the trip whenever the route or ride type changed
+      if (pickup || dropoff || rideType) {
+        const trip = {
+          pickup: updates.pickup || ride.pickup,
+          dropoff: updates.dropoff || ride.dropoff,
+          stops: ride.stops || [],
+        };
+        const coverageError = serviceAreas.checkTrip(trip);
+        if (coverageError) {
+          socket.emit('serviceAreaError', coverageError);
+          return;
+        }
+
+        const route = await routeTrip(trip.pickup, trip.dropoff, trip.stops);
+        updates.fixed_fare = serviceAreas.fixedFareFor(trip);
+        const quote = quoteFare({
+          ...trip,
+          rideType: updates.ridetype || ride.ridetype,
+          surgeMultiplier: ride.surge_multiplier || 1,
+          route,
+          fixedFare: updates.fixed_fare,
+        });
+        updates.fare = quote.fare;
+        updates.distance = `${quote.distanceMeters} m`;
+        updates.duration = route.durationSeconds;
+        updates.route_polyline = route.polyline;
+      }
+      if (updates.booking_date) updates.reminder_sent_at = null;
+
+      // A new fare re-checks the promo against it and resizes the wallet
+      // hold; each step is undone if the edit doesn't go through
+      const undo = [];
+      const rollback = async () => {
+        for (const step of undo.reverse()) {
+          await step().catch((err) => console.error(`Error undoing edit of ride ${rideId}:`, err.message));
+        }
+      };
+      const fareChanged = updates.fare !== undefined && updates.fare !== ride.fare;
+      if (fareChanged && ride.promo_code) {
+        const redeemFor = (amount) =>
+          promotions.redeem({ code: ride.promo_code, userId, target: { kind: 'ride' }, amount, rideId });
+        await promotions.release({ rideId });
+        try {
+          updates.discount = (await redeemFor(updates.fare)).discount;
+        } catch (promoError) {
+          await redeemFor(ride.fare).catch((err) => console.error(`Error restoring promo of ride ${rideId}:`, err.message));
+          socket.emit('promoCodeError', { code: ride.promo_code, message: promoError.message });
+          return;
+        }
+        undo.push(async () => {
+          await promotions.release({ rideId });
+          await redeemFor(ride.fare);
+        });
+      }
+      const riderFare = discountedAmount(ride.fare, ride.discount);
+      const newRiderFare = discountedAmount(updates.fare ?? ride.fare, updates.discount ?? ride.discount);
+      let updatedRide;
+      try {
+        if (isWalletPayment(ride.payment_method) && newRiderFare !== riderFare) {
+          const funds = await ridePayments.resizeHold(ride, newRiderFare);
+          if (!funds.sufficient) {
+            await rollback();
+            socket.emit('insufficientFunds', { fare: newRiderFare, required: funds.required, balance: funds.balance });
+            return;
+          }
+          undo.push(() => ridePayments.resizeHold(ride, riderFare));
+        }
+
+        const { data: savedRide, error } = await supabase
+          .from('ride_requests')
+          .update(updates)
+          .eq('id', rideId)
+          .eq('status', 'scheduled')
+          .select()
+          .maybeSingle();
+        if (error) throw error;
+        if (!savedRide) {
+          throw new Error('Scheduled ride was released before the edit could be saved');
+        }
+        updatedRide = savedRide;
+      } catch (editError) {
+        await rollback();
+        throw editError;
+      }
+
+      scheduler.schedule(updatedRide);
+      socket.emit('scheduledRideUpdated', { ride: updatedRide });
+    } catch (err) {
+      console.error('Error in editScheduledRide:', err.message);
+      socket.emit('error', { message: 'Failed to edit scheduled ride', error: err.message });
+    }
+  });
+
+  socket.on('fetchScheduledRides', async () => {
+    try {
+      const { data: rides, error } = await supabase
+        .from('ride_requests')
+        .select('*')
+        .eq('rider_id', userId)
+        .eq('status', 'scheduled')
+        .order('booking_date', { ascending: true });
+      if (error) throw error;
+
+      socket.emit('scheduledRidesFetched', { rides });
+    } catch (err) {
+      console.error('Error in fetchScheduledRides:', err.message);
+      socket.emit('error', { message: 'Failed to fetch scheduled rides', error: err.message });
+    }
+  });
+
+  socket.on('shareTrip', async ({ rideId }) => {
+    try {
+      const share = await tripSharing.createShareLink({ rideId, userId });
+      socket.emit('tripShared', { rideId, ...share });
+    } catch (err) {
+      console.error('Error in shareTrip:', err.message);
+      socket.emit('error', { message: 'Failed to share trip', error: err.message });
+    }
+  });
+
+  socket.on('requestFareQuote', async (data) => {
+    const { pickup, dropoff, stops = [], rideType, promoCode } = data;
+    try {
+      const coverageError = serviceAreas.checkTrip({ pickup, dropoff, stops });
+      if (coverageError) {
+        socket.emit('serviceAreaError', coverageError);
         return;
       }
-  
-      // Update ride
-      const { data: updatedRide, error: updateError } = await supabase
-        .from("ride_requests")
-        .update({ driver_id: driverId, status: "accepted" })
-        .eq("id", requestId)
-        .eq("status", "pending") // Ensure still pending
-        .select()
-        .single();
-  
-      if (updateError) {
-        console.error("Error updating ride:", updateError);
-        throw new Error("Failed to accept ride");
+
+      const route = await routeTrip(pickup, dropoff, stops);
+      const quote = quoteFare({
+        pickup,
+        dropoff,
+        stops,
+        rideType,
+        surgeMultiplier: surge.getMultiplier(pickup),
+        route,
+        fixedFare: serviceAreas.fixedFareFor({ pickup, dropoff }),
+      });
+      const promo = promoCode
+        ? await promotions.quotePromo({ code: promoCode, userId, target: { kind: 'ride' }, amount: quote.fare })
+        : null;
+      socket.emit('fareQuote', { pickup, dropoff, quote, promo, polyline: route.polyline });
+    } catch (err) {
+      console.error('Error in requestFareQuote:', err.message);
+      socket.emit('error', { message: 'Failed to quote fare', error: err.message });
+    }
+  });
+
+  // Drivers use the heatmap to reposition towards busy zones
+  socket.on('requestSurgeHeatmap', () => {
+    socket.emit('surgeHeatmap', { zones: surge.getHeatmap() });
+  });
+
+  socket.on("acceptRide", async ({ requestId }) => {
+    const driverId = userId;
+    try {
+      requireDriver();
+      if (!dispatcher.isOfferedTo(requestId, driverId)) {
+        socket.emit("error", { message: "Ride offer expired or not offered to this driver" });
+        return;
       }
-  
+
+      // Driver-to-pickup ETA from the driver's last reported position
+      const { ride } = await getRide(supabase, requestId);
+      const position = ride && (await getDriverPosition(supabase, driverId));
+      const eta = position ? (await getEta(position, pickupOf(ride))).etaSeconds : null;
+
+      const updatedRide = await transitionRide(supabase, requestId, "accepted", {
+        actor: { id: driverId, role: "driver" },
+        patch: { driver_id: driverId },
+        requestsPatch: { eta },
+      });
+
+      dispatcher.accept(requestId, driverId);
       console.log(`Ride ${requestId} accepted by driver ${driverId}`);
-      io.emit("tripUpdate", {
+      io.to(updatedRide.rider_id).to(driverId).emit("tripUpdate", {
         id: requestId,
         rider_id: updatedRide.rider_id,
         driverId,
@@ -325,42 +688,26 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on("confirmRide", async ({ driverId, requestId }) => {
+  socket.on("confirmRide", async ({ requestId }) => {
+    const driverId = userId;
     try {
-      const { data: ride, error: fetchError } = await supabase
-        .from("ride_requests")
-        .select("*")
-        .eq("id", requestId)
-        .eq("status", "accepted")
-        .eq("driver_id", driverId)
-        .maybeSingle();
-  
-      if (fetchError) {
-        console.error("Error fetching ride:", fetchError);
-        throw new Error("Database error");
-      }
-  
-      if (!ride) {
-        console.log(`Ride ${requestId} not found, not accepted, or not assigned to driver ${driverId}`);
+      const { ride } = await getRide(supabase, requestId);
+      if (!ride || ride.driver_id !== driverId) {
+        console.log(`Ride ${requestId} not found or not assigned to driver ${driverId}`);
         socket.emit("error", { message: "Ride not available or not assigned" });
         return;
       }
-  
-      const { data: updatedRide, error: updateError } = await supabase
-        .from("ride_requests")
-        .update({ status: "confirmed" })
-        .eq("id", requestId)
-        .eq("status", "accepted")
-        .select()
-        .single();
-  
-      if (updateError) {
-        console.error("Error confirming ride:", updateError);
-        throw new Error("Failed to confirm ride");
-      }
-  
+
+      // The rider reads this PIN to the driver, who needs it to start the trip
+      const startPin = generateTripPin();
+      const updatedRide = await transitionRide(supabase, requestId, "confirmed", {
+        actor: { id: driverId, role: "driver" },
+        patch: { start_pin: startPin },
+      });
+
+      io.to(updatedRide.rider_id).emit("tripPin", { rideId: requestId, pin: startPin });
       console.log(`Ride ${requestId} confirmed by driver ${driverId}`);
-      io.emit("tripUpdate", {
+      io.to(updatedRide.rider_id).to(driverId).emit("tripUpdate", {
         id: requestId,
         rider_id: updatedRide.rider_id,
         driverId,
@@ -376,47 +723,170 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('declineRide', async (data) => {
-    console.log('Received declineRide:', data);
-    const { driverId, requestId } = data;
+  socket.on("driverArrived", async ({ rideId }) => {
+    const driverId = userId;
+    try {
+      const { ride } = await getRide(supabase, rideId);
+      if (!ride || ride.driver_id !== driverId) {
+        socket.emit("error", { message: "Ride not available or not assigned" });
+        return;
+      }
+
+      const arrivedAt = new Date().toISOString();
+      const updatedRide = await transitionRide(supabase, rideId, "arrived", {
+        actor: { id: driverId, role: "driver" },
+        patch: { arrived_at: arrivedAt },
+        ridesPatch: { arrived_at: arrivedAt },
+      });
+
+      io.to(updatedRide.rider_id).to(driverId).emit("tripUpdate", {
+        id: rideId,
+        rider_id: updatedRide.rider_id,
+        driverId,
+        status: "arrived",
+        arrivedAt,
+      });
+    } catch (error) {
+      console.error("Error in driverArrived:", error.message);
+      socket.emit("error", { message: "Failed to mark arrival", error: error.message });
+    }
+  });
 
+  socket.on("startTrip", async ({ rideId, pin }) => {
+    const driverId = userId;
     try {
-      if (!driverId || !requestId) {
-        throw new Error('Invalid declineRide data: driverId and requestId required');
+      const { ride } = await getRide(supabase, rideId);
+      if (!ride || ride.driver_id !== driverId) {
+        socket.emit("error", { message: "Ride not available or not assigned" });
+        return;
       }
 
-      const { error } = await supabase
-        .from('ride_requests')
-        .update({ status: 'declined' })
-        .eq('id', requestId);
+      verifyTripPin(ride, pin);
 
-      if (error) {
-        console.error('Error declining ride request:', error);
-        throw error;
+      const startedAt = new Date().toISOString();
+      const updatedRide = await transitionRide(supabase, rideId, "started", {
+        actor: { id: driverId, role: "driver" },
+        patch: { started_at: startedAt },
+        ridesPatch: { started_at: startedAt },
+      });
+
+      io.to(updatedRide.rider_id).to(driverId).emit("tripUpdate", {
+        id: rideId,
+        rider_id: updatedRide.rider_id,
+        driverId,
+        status: "started",
+        startedAt,
+      });
+    } catch (error) {
+      console.error("Error in startTrip:", error.message);
+      socket.emit("error", { message: "Failed to start trip", error: error.message });
+    }
+  });
+
+  socket.on("completeTrip", async ({ rideId }) => {
+    const driverId = userId;
+    try {
+      const { ride } = await getRide(supabase, rideId);
+      if (!ride || ride.driver_id !== driverId) {
+        socket.emit("error", { message: "Ride not available or not assigned" });
+        return;
       }
 
-      console.log(`Ride ${requestId} declined by driver ${driverId}`);
-      socket.emit('rideDeclined', { requestId, driverId });
-    } catch (err) {
-      console.error('Error in declineRide:', err.message);
-      socket.emit('error', { message: 'Failed to decline ride', error: err.message });
+      const { summary, requestsPatch, ridesPatch } = await summarizeTrip(supabase, ride);
+      const updatedRide = await transitionRide(supabase, rideId, "completed", {
+        actor: { id: driverId, role: "driver" },
+        requestsPatch,
+        ridesPatch,
+      });
+
+      io.to(updatedRide.rider_id).to(driverId).emit("tripUpdate", {
+        id: rideId,
+        rider_id: updatedRide.rider_id,
+        driverId,
+        status: "completed",
+        distance: summary.distanceMeters,
+        duration: summary.durationSeconds,
+        fare: summary.fare,
+        completedAt: updatedRide.completed_at,
+      });
+    } catch (error) {
+      console.error("Error in completeTrip:", error.message);
+      socket.emit("error", { message: "Failed to complete trip", error: error.message });
     }
   });
-  socket.on("cancelRide", async ({ requestId, reason }) => {
+
+  socket.on("stopReached", async ({ rideId, stopIndex }) => {
+    const driverId = userId;
     try {
-      const { error } = await supabase
-        .from("ride_requests")
-        .update({ status: "canceled", cancellation_reason: reason })
-        .eq("id", requestId);
-      if (error) throw error;
-      io.emit("rideUpdate", { id: requestId, status: "canceled" });
+      const updatedRide = await markStopReached(supabase, { rideId, driverId, stopIndex });
+      io.to(updatedRide.rider_id).to(driverId).emit("rideStopsUpdated", {
+        rideId,
+        stops: updatedRide.stops,
+        fare: updatedRide.fare,
+      });
     } catch (error) {
-      socket.emit("error", { message: "Failed to cancel ride", error });
+      console.error("Error in stopReached:", error.message);
+      socket.emit("error", { message: "Failed to mark stop reached", error: error.message });
     }
   });
 
-  socket.on('getDriverStatus', async (data) => {
-    const { driverId } = data;
+  // Riders can add or remove stops mid-trip; the fare is recalculated
+  socket.on("addStop", async ({ rideId, stop, position }) => {
+    const riderId = userId;
+    try {
+      const updatedRide = await addStop(supabase, { rideId, riderId, stop, position, serviceAreas });
+      io.to([riderId, updatedRide.driver_id].filter(Boolean)).emit("rideStopsUpdated", {
+        rideId,
+        stops: updatedRide.stops,
+        fare: updatedRide.fare,
+      });
+    } catch (error) {
+      if (error.coverageError) {
+        socket.emit("serviceAreaError", error.coverageError);
+        return;
+      }
+      console.error("Error in addStop:", error.message);
+      socket.emit("error", { message: "Failed to add stop", error: error.message });
+    }
+  });
+
+  socket.on("removeStop", async ({ rideId, stopIndex }) => {
+    const riderId = userId;
+    try {
+      const updatedRide = await removeStop(supabase, { rideId, riderId, stopIndex });
+      io.to([riderId, updatedRide.driver_id].filter(Boolean)).emit("rideStopsUpdated", {
+        rideId,
+        stops: updatedRide.stops,
+        fare: updatedRide.fare,
+      });
+    } catch (error) {
+      console.error("Error in removeStop:", error.message);
+      socket.emit("error", { message: "Failed to remove stop", error: error.message });
+    }
+  });
+
+  socket.on('declineRide', async (data) => {
+    console.log('Received declineRide:', data);
+    const { requestId } = data;
+    const driverId = userId;
+
+    try {
+      if (!requestId) {
+        throw new Error('Invalid declineRide data: requestId required');
+      }
+
+      // The request stays pending while the dispatcher offers it to the next driver
+      await dispatcher.decline(requestId, driverId);
+
+      console.log(`Ride ${requestId} declined by driver ${driverId}`);
+      socket.emit('rideDeclined', { requestId, driverId });
+    } catch (err) {
+      console.error('Error in declineRide:', err.message);
+      socket.emit('error', { message: 'Failed to decline ride', error: err.message });
+    }
+  });
+  socket.on('getDriverStatus', async () => {
+    const driverId = userId;
     try {
       const { data: driverData, error } = await supabase
         .from('drivers')
@@ -439,8 +909,10 @@ io.on('connection', (socket) => {
   });
 
   socket.on('updateDriverStatus', async (data) => {
-    const { driverId, status } = data;
+    const { status } = data;
+    const driverId = userId;
     try {
+      requireDriver();
       const { error } = await supabase
         .from('drivers')
         .upsert(
@@ -456,6 +928,11 @@ io.on('connection', (socket) => {
         throw error;
       }
 
+      // Drivers going offline give up their place in airport queues
+      if (status !== 'online') {
+        await serviceAreas.leaveQueue(driverId);
+      }
+
       console.log(`Driver ${driverId} set to ${status}`);
     } catch (err) {
       console.error('Error in updateDriverStatus:', err.message);
@@ -463,19 +940,60 @@ io.on('connection', (socket) => {
   });
 
 
-  // Updated handler for trip update with vehicle and ride type validation
+  socket.on("fetchEarnings", async ({ period = "day" } = {}) => {
+    try {
+      socket.emit("earningsSummary", await earnings.getSummary(userId, period));
+    } catch (error) {
+      console.error("Error in fetchEarnings:", error.message);
+      socket.emit("error", { message: "Failed to fetch earnings", error: error.message });
+    }
+  });
+
+  socket.on("requestPayout", async ({ amount }) => {
+    try {
+      requireDriver();
+      const payout = await earnings.requestPayout({ driverId: userId, amount });
+      socket.emit("payoutRequested", toTransactionUpdate(payout));
+    } catch (error) {
+      console.error("Error in requestPayout:", error.message);
+      socket.emit("error", { message: "Failed to request payout", error: error.message });
+    }
+  });
+
+  socket.on("rateRide", async ({ rideId, score, comment, tags }) => {
+    try {
+      const { rating, rateeRating } = await rateRide(supabase, { rideId, raterId: userId, score, comment, tags });
+      socket.emit("rideRated", { rideId, rating });
+      io.to(rating.ratee_id).emit("ratingUpdated", { userId: rating.ratee_id, ...rateeRating });
+    } catch (err) {
+      console.error("Error in rateRide:", err.message);
+      socket.emit("error", { message: "Failed to rate ride", error: err.message });
+    }
+  });
+
+  // Updated handler for trip update with vehicle and ride type validation.
+  // Drivers can only accept a ride offered to them here; every other status
+  // change has its own event.
   socket.on("tripUpdate", async (tripData) => {
     console.log("Received tripUpdate:", tripData);
-    const { rider_id, driver_id, status } = tripData;
+    const { rider_id, status } = tripData;
+    const driver_id = userId;
     try {
-      // Fetch ride request to get rideType
+      requireDriver();
+      if (status !== "accepted") {
+        throw new Error("tripUpdate can only accept a ride");
+      }
+      // Fetch the rider's pending request to get its ride type
       const { data: ride, error: rideError } = await supabase
         .from("ride_requests")
-        .select("ride_type")
+        .select("id, ridetype")
         .eq("rider_id", rider_id)
         .eq("status", "pending")
         .single();
       if (rideError) throw rideError;
+      if (!dispatcher.isOfferedTo(ride.id, driver_id)) {
+        throw new Error("Ride offer expired or not offered to this driver");
+      }
 
       // Validate driver’s vehicle
       const { data: vehicle, error: vehicleError } = await supabase
@@ -487,24 +1005,21 @@ io.on('connection', (socket) => {
       if (vehicleError || !vehicle) {
         throw new Error("No active vehicle found for driver or vehicle error");
       }
-      if (vehicle.ride_type !== ride.ride_type) {
+      if (vehicle.ride_type !== ride.ridetype) {
         throw new Error("Vehicle ride type does not match rider request");
       }
 
       // Update ride request
-      const { data: updatedRide, error: updateError } = await supabase
-        .from("ride_requests")
-        .update({ status, driver_id })
-        .eq("rider_id", rider_id)
-        .eq("status", "pending")
-        .select()
-        .single();
-      if (updateError) throw updateError;
+      const updatedRide = await transitionRide(supabase, ride.id, "accepted", {
+        actor: { id: driver_id, role: "driver" },
+        patch: { driver_id },
+      });
+      dispatcher.accept(ride.id, driver_id);
 
       // Fetch driver details
       const { data: driver, error: driverError } = await supabase
         .from("users")
-        .select("first_name")
+        .select("first_name, rating_avg")
         .eq("id", driver_id)
         .single();
       if (driverError) throw driverError;
@@ -513,13 +1028,13 @@ io.on('connection', (socket) => {
         ...updatedRide,
         driver: {
           name: driver.first_name,
-          rating: vehicle.rating || 5.0, // Use vehicle rating if available
+          rating: driver.rating_avg ?? 5.0,
           vehicle: `${vehicle.make} ${vehicle.model}`,
           licensePlate: vehicle.license_plate,
         },
       };
 
-      io.emit("tripUpdate", responseRide);
+      io.to(updatedRide.rider_id).to(driver_id).emit("tripUpdate", responseRide);
       console.log("Sent tripUpdate:", responseRide);
     } catch (err) {
       console.error("Error in tripUpdate:", err);
@@ -530,8 +1045,10 @@ io.on('connection', (socket) => {
   // Updated handler for driver location updates
   socket.on("updateDriverLocation", async (locationData) => {
     console.log("Received updateDriverLocation:", locationData);
-    const { driverId, lat, lng } = locationData;
+    const { lat, lng } = locationData;
+    const driverId = userId;
     try {
+      requireDriver();
       const { error } = await supabase
         .rpc("upsert_user_location", {
           p_user_id: driverId,
@@ -549,6 +1066,11 @@ io.on('connection', (socket) => {
         .eq("id", driverId);
 
       io.emit("driverLocation", { driverId, lat, lng });
+      sos.handleLocation(driverId, lat, lng);
+      await tripSharing.handleDriverLocation(driverId, lat, lng);
+      await trail.recordDriverPosition(driverId, lat, lng);
+      await etaTracker.handleDriverLocation(driverId, lat, lng);
+      await serviceAreas.handleDriverLocation(driverId, lat, lng);
       console.log("Sent driverLocation:", { driverId, lat, lng });
     } catch (err) {
       console.error("Error in updateDriverLocation:", err);
@@ -556,16 +1078,81 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Safety: SOS alerts and emergency contacts
+  socket.on("sos", async ({ rideId, lat, lng, message }) => {
+    try {
+      const incident = await sos.triggerSos({ userId, rideId, lat, lng, message });
+      socket.emit("sosReceived", { incidentId: incident.id, rideId });
+    } catch (err) {
+      console.error("Error in sos:", err.message);
+      socket.emit("error", { message: "Failed to raise SOS", error: err.message });
+    }
+  });
+
+  socket.on("joinOperatorRoom", async () => {
+    try {
+      await sos.joinOperators(socket, userId);
+    } catch (err) {
+      console.error("Error in joinOperatorRoom:", err.message);
+      socket.emit("error", { message: "Failed to join operator room", error: err.message });
+    }
+  });
+
+  socket.on("resolveSos", async ({ incidentId, notes }) => {
+    try {
+      if (!socket.rooms.has("operators")) {
+        throw new Error("Only operators can resolve incidents");
+      }
+      await sos.resolveSos({ incidentId, operatorId: userId, notes });
+    } catch (err) {
+      console.error("Error in resolveSos:", err.message);
+      socket.emit("error", { message: "Failed to resolve SOS", error: err.message });
+    }
+  });
+
+  socket.on("fetchEmergencyContacts", async () => {
+    try {
+      const contacts = await sos.fetchEmergencyContacts(userId);
+      socket.emit("emergencyContactsFetched", { contacts });
+    } catch (err) {
+      console.error("Error in fetchEmergencyContacts:", err.message);
+      socket.emit("error", { message: "Failed to fetch emergency contacts", error: err.message });
+    }
+  });
+
+  socket.on("saveEmergencyContact", async ({ name, phone }) => {
+    try {
+      const contact = await sos.saveEmergencyContact({ userId, name, phone });
+      socket.emit("emergencyContactSaved", { contact });
+    } catch (err) {
+      console.error("Error in saveEmergencyContact:", err.message);
+      socket.emit("error", { message: "Failed to save emergency contact", error: err.message });
+    }
+  });
+
+  socket.on("deleteEmergencyContact", async ({ contactId }) => {
+    try {
+      await sos.deleteEmergencyContact({ userId, contactId });
+      socket.emit("emergencyContactDeleted", { contactId });
+    } catch (err) {
+      console.error("Error in deleteEmergencyContact:", err.message);
+      socket.emit("error", { message: "Failed to delete emergency contact", error: err.message });
+    }
+  });
+
   // Updated handler for chat messages
   socket.on("newMessage", async (messageData) => {
     console.log("Received newMessage:", messageData);
-    const { chatId, senderId, content } = messageData;
+    const { chatId, content } = messageData;
     try {
+      if (!(await isChatMember(chatId))) {
+        throw new Error("Not a member of this chat");
+      }
       const { data, error } = await supabase
         .from("messages")
         .insert({
           chat_id: chatId,
-          sender_id: senderId,
+          sender_id: userId,
           content,
         })
         .select();
@@ -583,7 +1170,7 @@ io.on('connection', (socket) => {
   socket.on('createBusiness', async (businessData) => {
     try {
       // Validate required fields
-      if (!businessData.id || !businessData.ownerId || !businessData.name || !businessData.category || !businessData.address || !businessData.coordinates) {
+      if (!businessData.id || !businessData.name || !businessData.category || !businessData.address || !businessData.coordinates) {
         socket.emit('error', 'Missing required fields');
         return;
       }
@@ -593,7 +1180,7 @@ io.on('connection', (socket) => {
         .from('businesses')
         .insert([{
           id: businessData.id,
-          owner_id: businessData.ownerId,
+          owner_id: userId,
           name: businessData.name,
           category: businessData.category,
           address: businessData.address,
@@ -626,6 +1213,10 @@ io.on('connection', (socket) => {
         socket.emit('error', 'Missing required fields for item');
         return;
       }
+      if (!(await ownsBusiness(itemData.businessId))) {
+        socket.emit('error', 'Business not found or not yours');
+        return;
+      }
 
       // Insert item data into Supabase
       const { data, error } = await supabase
@@ -662,6 +1253,10 @@ io.on('connection', (socket) => {
         socket.emit('error', 'Missing required fields for editing item');
         return;
       }
+      if (!(await ownsBusiness(itemData.businessId))) {
+        socket.emit('error', 'Business not found or not yours');
+        return;
+      }
 
       // Verify the item exists and belongs to the business
       const { data: existingItem, error: fetchError } = await supabase
@@ -711,6 +1306,10 @@ io.on('connection', (socket) => {
         socket.emit('error', 'Missing required fields for deleting item');
         return;
       }
+      if (!(await ownsBusiness(itemData.businessId))) {
+        socket.emit('error', 'Business not found or not yours');
+        return;
+      }
 
       // Verify the item exists and belongs to the business
       const { data: existingItem, error: fetchError } = await supabase
@@ -780,6 +1379,10 @@ io.on('connection', (socket) => {
         socket.emit('error', 'Missing business ID');
         return;
       }
+      if (!(await ownsBusiness(data.businessId))) {
+        socket.emit('error', 'Business not found or not yours');
+        return;
+      }
 
       const { data: orders, error: ordersError } = await supabase
         .from('orders')
@@ -823,6 +1426,10 @@ io.on('connection', (socket) => {
         socket.emit('error', 'Missing required fields for updating order status');
         return;
       }
+      if (!(await ownsBusiness(data.businessId))) {
+        socket.emit('error', 'Business not found or not yours');
+        return;
+      }
 
       const { data: existingOrder, error: fetchError } = await supabase
         .from('orders')
@@ -837,7 +1444,7 @@ io.on('connection', (socket) => {
         return;
       }
 
-      const { data, error } = await supabase
+      const { data: updatedOrder, error } = await supabase
         .from('orders')
         .update({ status: data.status })
         .eq('id', data.orderId)
@@ -850,8 +1457,22 @@ io.on('connection', (socket) => {
         return;
       }
 
-      console.log('Order status updated:', data);
-      socket.emit('orderStatusUpdated', { orderId: data.id, status: data.status });
+      // Orders that won't be fulfilled give their promo redemption back
+      const orderStatus = String(data.status).toLowerCase();
+      if (existingOrder.promo_code && ['rejected', 'cancelled', 'canceled'].includes(orderStatus)) {
+        await promotions.release({ orderId: updatedOrder.id });
+      }
+      // A customer's first fulfilled order can complete their referral, unless
+      // it was delivered by their own business: anyone can open one and order
+      // from it, so that proves nothing
+      if (['delivered', 'completed'].includes(orderStatus) && existingOrder.customer_id !== userId) {
+        referrals
+          .handleFirstPurchase(existingOrder.customer_id)
+          .catch((err) => console.error(`Error rewarding referral for customer ${existingOrder.customer_id}:`, err.message));
+      }
+
+      console.log('Order status updated:', updatedOrder);
+      socket.emit('orderStatusUpdated', { orderId: updatedOrder.id, status: updatedOrder.status });
     } catch (err) {
       console.error('Server error:', err);
       socket.emit('error', 'Server error: ' + err.message);
@@ -958,10 +1579,53 @@ io.on('connection', (socket) => {
 
   socket.on('placeOrder', async (orderData) => {
     try {
-      if (!orderData.id || !orderData.businessId || !orderData.customerId || !orderData.customerName || !orderData.totalPrice || !orderData.items) {
+      if (!orderData.id || !orderData.businessId || !orderData.customerName || !Array.isArray(orderData.items) || !orderData.items.length) {
         socket.emit('error', 'Missing required fields for placing order');
         return;
       }
+      if (!orderData.items.every((item) => Number.isInteger(item.quantity) && item.quantity > 0)) {
+        socket.emit('error', 'Item quantities must be positive whole numbers');
+        return;
+      }
+
+      // Prices come from the business's menu; the client's totalPrice is only
+      // used to log mismatches
+      const { data: menuItems, error: menuError } = await supabase
+        .from('items')
+        .select('id, name, price')
+        .eq('business_id', orderData.businessId)
+        .in('id', orderData.items.map((item) => item.itemId));
+      if (menuError) {
+        console.error('Supabase error:', menuError);
+        socket.emit('error', 'Failed to load order items: ' + menuError.message);
+        return;
+      }
+      const menu = new Map(menuItems.map((item) => [item.id, item]));
+      if (!orderData.items.every((item) => menu.has(item.itemId))) {
+        socket.emit('error', 'Some items are not sold by this business');
+        return;
+      }
+      const totalPrice = orderData.items.reduce((sum, item) => sum + Number(menu.get(item.itemId).price) * item.quantity, 0);
+      if (orderData.totalPrice && orderData.totalPrice !== totalPrice) {
+        console.warn(`Client total ${orderData.totalPrice} differs from server total ${totalPrice} for order ${orderData.id}`);
+      }
+
+      // Lock in the promo discount before the order exists
+      let promo = { code: null, discount: 0 };
+      if (orderData.promoCode) {
+        try {
+          promo = await promotions.redeem({
+            code: orderData.promoCode,
+            userId,
+            target: { kind: 'order', businessId: orderData.businessId },
+            amount: totalPrice,
+            orderId: orderData.id,
+          });
+        } catch (promoError) {
+          socket.emit('promoCodeError', { code: orderData.promoCode, message: promoError.message });
+          return;
+        }
+      }
 
       // Insert order
       const { data: order, error: orderError } = await supabase
@@ -969,9 +1633,11 @@ io.on('connection', (socket) => {
         .insert([{
           id: orderData.id,
           business_id: orderData.businessId,
-          customer_id: orderData.customerId,
+          customer_id: userId,
           customer_name: orderData.customerName,
-          total_price: orderData.totalPrice,
+          total_price: totalPrice,
+          promo_code: promo.code,
+          discount: promo.discount,
           status: 'Pending',
         }])
         .select()
@@ -979,6 +1645,7 @@ io.on('connection', (socket) => {
 
       if (orderError) {
         console.error('Supabase error:', orderError);
+        if (promo.code) await promotions.release({ orderId: orderData.id });
         socket.emit('error', 'Failed to place order: ' + orderError.message);
         return;
       }
@@ -988,9 +1655,9 @@ io.on('connection', (socket) => {
         id: item.id,
         order_id: orderData.id,
         item_id: item.itemId,
-        item_name: item.itemName,
+        item_name: menu.get(item.itemId).name,
         quantity: item.quantity,
-        price: item.price,
+        price: menu.get(item.itemId).price,
       }));
 
       const { error: itemsError } = await supabase
@@ -999,12 +1666,19 @@ io.on('connection', (socket) => {
 
       if (itemsError) {
         console.error('Supabase error:', itemsError);
+        // Don't leave an empty order holding the promo redemption
+        await supabase.from('orders').delete().eq('id', orderData.id);
+        if (promo.code) await promotions.release({ orderId: orderData.id });
         socket.emit('error', 'Failed to save order items: ' + itemsError.message);
         return;
       }
 
       console.log('Order placed:', order);
-      socket.emit('orderPlaced', { orderId: order.id });
+      socket.emit('orderPlaced', {
+        orderId: order.id,
+        discount: order.discount,
+        total: discountedAmount(order.total_price, order.discount),
+      });
     } catch (err) {
       console.error('Server error:', err);
       socket.emit('error', 'Server error: ' + err.message);
@@ -1085,13 +1759,8 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('fetchPastRides', async (data) => {
+  socket.on('fetchPastRides', async (data = {}) => {
     try {
-      if (!data.userId) {
-        socket.emit('error', 'Missing user ID for fetching past rides');
-        return;
-      }
-
       const { data: rides, error } = await supabase
         .from('rides')
         .select(`
@@ -1105,7 +1774,7 @@ io.on('connection', (socket) => {
           distance_km,
           cost
         `)
-        .eq('rider_id', data.userId)
+        .eq('rider_id', userId)
         .eq('status', 'completed')
         .order('created_at', { ascending: false });
 
@@ -1115,8 +1784,13 @@ io.on('connection', (socket) => {
         return;
       }
 
+      // Optionally attach each ride's driven route as an encoded polyline
+      const routes = data.includeRoute
+        ? await Promise.all(rides.map(async ride => toPolyline(await getTrail(supabase, ride.id))))
+        : [];
+
       // Transform geography data to lat/lng for frontend
-      const transformedRides = rides.map(ride => ({
+      const transformedRides = rides.map((ride, index) => ({
         ...ride,
         pickup_location: {
           latitude: ride.pickup_location.coordinates[1],
@@ -1126,6 +1800,7 @@ io.on('connection', (socket) => {
           latitude: ride.dropoff_location.coordinates[1],
           longitude: ride.dropoff_location.coordinates[0],
         },
+        ...(data.includeRoute && { route: routes[index] }),
       }));
 
       console.log('Past rides fetched:', transformedRides);
@@ -1136,13 +1811,8 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('fetchActiveRide', async (data) => {
+  socket.on('fetchActiveRide', async () => {
     try {
-      if (!data.userId) {
-        socket.emit('error', 'Missing user ID for fetching active ride');
-        return;
-      }
-
       const { data: ride, error } = await supabase
         .from('rides')
         .select(`
@@ -1156,8 +1826,8 @@ io.on('connection', (socket) => {
           distance_km,
           cost
         `)
-        .eq('rider_id', data.userId)
-        .in('status', ['requested', 'accepted', 'in-progress'])
+        .eq('rider_id', userId)
+        .in('status', ACTIVE_STATUSES)
         .single();
 
       if (error && error.code !== 'PGRST116') { // PGRST116 means no rows found
@@ -1187,57 +1857,70 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Show the rider what cancelling would cost before they confirm
+  socket.on('previewCancellation', async (data) => {
+    try {
+      const rideId = data.requestId || data.rideId;
+      const ride = await loadCancellableRide(supabase, rideId, userId);
+      const { fee, reason } = await getCancellationFee(supabase, ride);
+      socket.emit('cancellationPreview', { rideId, fee, reason });
+    } catch (err) {
+      console.error('Error in previewCancellation:', err.message);
+      socket.emit('error', { message: 'Failed to preview cancellation', error: err.message });
+    }
+  });
+
+  // Riders or drivers cancel either a ride request (requestId) or a REST ride (rideId)
   socket.on('cancelRide', async (data) => {
     try {
-      if (!data.rideId || !data.userId) {
+      const rideId = data.requestId || data.rideId;
+      if (!rideId) {
         socket.emit('error', 'Missing required fields for cancelling ride');
         return;
       }
 
-      const { data: existingRide, error: fetchError } = await supabase
-        .from('rides')
-        .select('*')
-        .eq('id', data.rideId)
-        .eq('rider_id', data.userId)
-        .in('status', ['requested', 'accepted', 'in-progress'])
-        .single();
+      const result = await cancelRide(supabase, {
+        rideId,
+        userId,
+        reason: data.reason,
+        acceptedFee: data.acceptedFee,
+      });
 
-      if (fetchError || !existingRide) {
-        console.error('Supabase error:', fetchError);
-        socket.emit('error', 'Ride not found or not cancellable');
+      if (result.feeRequired) {
+        socket.emit('cancellationFeeRequired', { rideId, fee: result.fee, reason: result.feeReason });
         return;
       }
 
-      const { data, error } = await supabase
-        .from('rides')
-        .update({ status: 'canceled' })
-        .eq('id', data.rideId)
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Supabase error:', error);
-        socket.emit('error', 'Failed to cancel ride: ' + error.message);
+      if (result.cancelledBy === 'driver') {
+        // Offer the ride to other drivers and let the rider know
+        io.to(result.ride.rider_id).emit('driverCancelled', { rideId });
+        socket.emit('rideCancelled', { rideId });
+        await dispatcher.dispatch(result.ride, { excludeDriverIds: [result.previousDriverId] });
         return;
       }
 
-      console.log('Ride cancelled:', data);
-      socket.emit('rideCancelled', { rideId: data.id });
+      dispatcher.cancel(rideId);
+      scheduler.unschedule(rideId);
+      (result.transactions || []).forEach((transaction) =>
+        io.to(transaction.user_id).emit('transaction_update', toTransactionUpdate(transaction))
+      );
+
+      console.log('Ride cancelled:', result.ride);
+      socket.emit('rideCancelled', { rideId, fee: result.fee });
+      if (result.ride.driver_id) {
+        io.to(result.ride.driver_id).emit('rideCancelled', { rideId });
+      }
+      io.emit('rideUpdate', { id: rideId, status: 'canceled' });
     } catch (err) {
-      console.error('Server error:', err);
-      socket.emit('error', 'Server error: ' + err.message);
+      console.error('Error in cancelRide:', err.message);
+      socket.emit('error', { message: 'Failed to cancel ride', error: err.message });
     }
   });
 
 
   //Chat Feature
-  socket.on('fetchChats', async (data) => {
+  socket.on('fetchChats', async () => {
     try {
-      if (!data.userId) {
-        socket.emit('error', 'Missing user ID for fetching chats');
-        return;
-      }
-
       const { data: chats, error } = await supabase
         .from('chats')
         .select(`
@@ -1249,7 +1932,7 @@ io.on('connection', (socket) => {
           driver:users!chats_driver_id_fkey (first_name, last_name, avatar),
           messages (content, created_at)
         `)
-        .or(`rider_id.eq.${data.userId},driver_id.eq.${data.userId}`)
+        .or(`rider_id.eq.${userId},driver_id.eq.${userId}`)
         .order('created_at', { foreignTable: 'messages', ascending: false });
 
       if (error) {
@@ -1285,6 +1968,10 @@ io.on('connection', (socket) => {
         socket.emit('error', 'Missing chat ID for fetching messages');
         return;
       }
+      if (!(await isChatMember(data.chatId))) {
+        socket.emit('error', 'Chat not found or not yours');
+        return;
+      }
 
       const { data: messages, error } = await supabase
         .from('messages')
@@ -1315,16 +2002,20 @@ io.on('connection', (socket) => {
 
   socket.on('sendMessage', async (data) => {
     try {
-      if (!data.chatId || !data.senderId || !data.content) {
+      if (!data.chatId || !data.content) {
         socket.emit('error', 'Missing required fields for sending message');
         return;
       }
+      if (!(await isChatMember(data.chatId))) {
+        socket.emit('error', 'Chat not found or not yours');
+        return;
+      }
 
       const { data: message, error } = await supabase
         .from('messages')
         .insert([{
           chat_id: data.chatId,
-          sender_id: data.senderId,
+          sender_id: userId,
           content: data.content,
         }])
         .select(`
@@ -1351,13 +2042,22 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('joinChat', (data) => {
+  socket.on('joinChat', async (data) => {
     if (!data.chatId) {
       socket.emit('error', 'Missing chat ID for joining chat');
       return;
     }
-    socket.join(`chat_${data.chatId}`);
-    console.log(`Socket ${socket.id} joined chat_${data.chatId}`);
+    try {
+      if (!(await isChatMember(data.chatId))) {
+        socket.emit('error', 'Chat not found or not yours');
+        return;
+      }
+      socket.join(`chat_${data.chatId}`);
+      console.log(`Socket ${socket.id} joined chat_${data.chatId}`);
+    } catch (err) {
+      console.error('Server error:', err);
+      socket.emit('error', 'Server error: ' + err.message);
+    }
   });
 
   socket.on('leaveChat', (data) => {
@@ -1387,5 +2087,17 @@ app.use((err, req, res, next) => {
 
 // Start Server
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+server.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  // Zones load first so resumed dispatches see the airport queues
+  serviceAreas
+    .start()
+    .catch((err) => console.error('Error loading service areas:', err.message))
+    .then(() => dispatcher.resumePending())
+    .catch((err) => console.error('Error resuming dispatch:', err.message));
+  scheduler.start().catch((err) => console.error('Error starting ride scheduler:', err.message));
+  surge.start().catch((err) => console.error('Error starting surge monitor:', err.message));
+  sos.start().catch((err) => console.error('Error restoring SOS incidents:', err.message));
+  reconciler.start().catch((err) => console.error('Error starting payment reconciliation:', err.message));
+});
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Double-entry ledger. Every money movement is a journal of entries that sum
+// to zero across accounts:
+//
+//   wallet:<userId>            a user's wallet (mirrored in wallets.balance)
+//   platform:revenue           commissions and the platform's share of fees
+//   platform:driver_payables   ride fares collected and not yet paid to drivers
+//   platform:ride_holds        wallet funds held for rides in progress
+//   provider:<name>            money in transit with a payment provider
+//
+// Journals are posted by the post_journal RPC, which writes the entries and
+// updates account and wallet balances in one database transaction, so
+// concurrent movements can't overwrite each other.
+
+const express = require('express');
+
+const ACCOUNTS = {
+  revenue: 'platform:revenue',
+  driverPayables: 'platform:driver_payables',
+  rideHolds: 'platform:ride_holds',
+};
+
+const walletAccount = (userId) => `wallet:${userId}`;
+const providerAccount = (provider) => `provider:${provider}`;
+
+// Post a balanced journal. entries is [{ account, amount }] with signed
+// amounts; allowNegative lets wallet debits go below zero. Reposting with the
+// same idempotencyKey returns the original journal instead of moving money
+// twice.
+const postJournal = async (
+  supabase,
+  { kind, description, entries, rideId = null, idempotencyKey = null, allowNegative = false }
+) => {
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  if (entries.length < 2 || Math.abs(total) > 1e-9) {
+    throw new Error('Journal entries must balance');
+  }
+
+  const { data: journalId, error } = await supabase.rpc('post_journal', {
+    p_kind: kind,
+    p_description: description,
+    p_entries: entries,
+    p_ride_id: rideId,
+    p_idempotency_key: idempotencyKey,
+    p_allow_negative: allowNegative,
+  });
+  if (error) throw new Error(error.message);
+  return journalId;
+};
+
+// Problems found by comparing stored balances with the entries behind them:
+// unbalanced journals, account or wallet balances that drift from their
+// entries, and a ledger that doesn't sum to zero
+const checkConsistency = async (supabase) => {
+  const { data: problems, error } = await supabase.rpc('ledger_consistency');
+  if (error) throw error;
+  return { consistent: problems.length === 0, problems, checkedAt: new Date().toISOString() };
+};
+
+// Entries on one account, newest first, with the journal that explains each
+const getAccountEntries = async (supabase, accountId, { limit = 100 } = {}) => {
+  const { data, error } = await supabase
+    .from('ledger_entries')
+    .select('amount, created_at, ledger_journals(id, kind, description, ride_id, idempotency_key)')
+    .eq('account_id', accountId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data;
+};
+
+// Admin views of the ledger, mounted behind requireAdmin
+const router = express.Router();
+
+router.get('/check', async (req, res) => {
+  try {
+    res.json(await checkConsistency(req.supabase));
+  } catch (error) {
+    console.error('Error checking ledger consistency:', error.message);
+    res.status(500).json({ error: 'Failed to check ledger consistency' });
+  }
+});
+
+router.get('/accounts/:accountId/entries', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    res.json({ entries: await getAccountEntries(req.supabase, req.params.accountId, { limit }) });
+  } catch (error) {
+    console.error('Error fetching ledger entries:', error.message);
+    res.status(500).json({ error: 'Failed to fetch ledger entries' });
+  }
+});
+
+module.exports = {
+  ACCOUNTS,
+  walletAccount,
+  providerAccount,
+  postJournal,
+  checkConsistency,
+  getAccountEntries,
+  router,
+};
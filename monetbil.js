@@ -0,0 +1,226 @@
+// Monetbil mobile-money API as a payment provider (see payment-providers.js):
+// payment initiation, callback signatures, payment status checks and payouts
+// (withdrawals to a phone number). MONETBIL_API_URL points the whole flow at
+// a local stand-in for testing.
+
+const md5 = require('md5');
+
+const SERVICE_KEY = process.env.SERVICE_KEY || "M55rSvthtYGRYp1Nl81o4W9xVUynS97X";
+const SERVICE_SECRET = process.env.SERVICE_SECRET;
+const API_URL = (process.env.MONETBIL_API_URL || 'https://api.monetbil.com').replace(/\/+$/, '');
+const DEPOSIT_NOTIFY_URL = process.env.DEPOSIT_NOTIFY_URL;
+const DEPOSIT_RETURN_URL = process.env.DEPOSIT_RETURN_URL;
+const PAYOUT_NOTIFY_URL = process.env.PAYOUT_NOTIFY_URL;
+
+// Mobile-money operators Monetbil collects from in Cameroon
+const OPERATORS = ['CM_MTNMOBILEMONEY', 'CM_ORANGEMONEY', 'CM_EUMM'];
+
+// Our transaction status for a Monetbil payment or payout status
+const toTransactionStatus = (status) => {
+  switch (String(status).toUpperCase()) {
+    case 'SUCCESSFUL':
+    case 'SUCCESS':
+      return 'completed';
+    case 'FAILED':
+    case 'CANCELLED':
+      return 'failed';
+    case 'PENDING':
+    case 'REQUEST_ACCEPTED':
+      return 'pending';
+    default:
+      console.warn('Unknown Monetbil status:', status);
+      return 'failed';
+  }
+};
+
+// Our status for a Monetbil payout. Money may already have left when the
+// status is anything but an explicit failure, so unknown or missing statuses
+// stay pending for reconciliation instead of returning the money.
+const toPayoutStatus = (status) => {
+  switch (String(status).toUpperCase()) {
+    case 'SUCCESSFUL':
+    case 'SUCCESS':
+      return 'completed';
+    case 'FAILED':
+    case 'CANCELLED':
+      return 'failed';
+    case 'PENDING':
+    case 'REQUEST_ACCEPTED':
+      return 'pending';
+    default:
+      console.warn('Unknown Monetbil payout status:', status);
+      return 'pending';
+  }
+};
+
+// Check the sign field Monetbil adds to payment callbacks
+const isValidCallbackSignature = ({ service, transaction_id, amount, currency, status, payment_ref, sign }) => {
+  const computedSign = md5(`${service}${transaction_id}${amount}${currency}${status}${payment_ref}${SERVICE_KEY}`);
+  if (computedSign !== sign) {
+    console.error('Invalid signature:', { computedSign, receivedSign: sign });
+    return false;
+  }
+  return true;
+};
+
+// Monetbil's request signature: md5 of the service secret followed by the
+// parameter values in key order
+const signParams = (params) => {
+  const values = Object.keys(params)
+    .sort()
+    .map((key) => params[key])
+    .join('');
+  return md5(`${SERVICE_SECRET}${values}`);
+};
+
+// Cameroonian mobile number as 237XXXXXXXXX, or null if it isn't one
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  const local = digits.length === 12 && digits.startsWith('237') ? digits.slice(3) : digits;
+  return /^6\d{8}$/.test(local) ? `237${local}` : null;
+};
+
+const postForm = async (url, params) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString(),
+  });
+
+  const rawResponse = await response.text();
+  if (!response.ok) {
+    throw new Error(`Monetbil API error: ${response.status} ${rawResponse}`);
+  }
+  try {
+    return JSON.parse(rawResponse);
+  } catch (parseError) {
+    throw new Error(`Invalid response from Monetbil: ${rawResponse}`);
+  }
+};
+
+const requireSecret = (flow) => {
+  if (!SERVICE_SECRET) {
+    throw new Error(`${flow} are not configured (SERVICE_SECRET is missing)`);
+  }
+};
+
+// Start a payment through the Monetbil widget. The payer completes it on the
+// returned payment URL and Monetbil reports the outcome to notifyUrl.
+const requestPayment = async ({ paymentRef, userId, amount, phone, operator, notifyUrl, returnUrl }) => {
+  requireSecret('Deposits');
+  const params = {
+    amount: String(amount),
+    phone,
+    operator,
+    country: 'CM',
+    currency: 'XAF',
+    locale: 'fr',
+    payment_ref: paymentRef,
+    item_ref: 'wallet_deposit',
+    user: userId,
+    ...(notifyUrl && { notify_url: notifyUrl }),
+    ...(returnUrl && { return_url: returnUrl }),
+  };
+  const result = await postForm(`${API_URL}/widget/v2.1/${SERVICE_KEY}`, { ...params, sign: signParams(params) });
+  if (!result.success || !result.payment_url) {
+    throw new Error(`Monetbil rejected the payment: ${result.message || result.code || 'unknown reason'}`);
+  }
+  return { paymentUrl: result.payment_url, params };
+};
+
+// Current status of a payment, as reported by Monetbil
+const checkPayment = (paymentId) =>
+  postForm(`${API_URL}/v2.1/check/${SERVICE_KEY}`, { transaction_id: paymentId });
+
+const payoutCredentials = () => {
+  requireSecret('Payouts');
+  return { service_key: SERVICE_KEY, service_secret: SERVICE_SECRET };
+};
+
+// Send money from our Monetbil balance to a mobile-money number.
+// processingNumber is our unique reference for the payout.
+const requestWithdrawal = async ({ processingNumber, phone, amount, notifyUrl }) => {
+  const result = await postForm(`${API_URL}/v1/payouts/withdrawal`, {
+    ...payoutCredentials(),
+    processing_number: processingNumber,
+    phonenumber: phone,
+    amount: String(amount),
+    ...(notifyUrl && { payout_notification_url: notifyUrl }),
+  });
+  if (!result.success) {
+    const error = new Error(`Monetbil rejected the payout: ${result.message || result.code || 'unknown reason'}`);
+    error.rejected = true;
+    throw error;
+  }
+  return result;
+};
+
+// Current status of a payout started with requestWithdrawal
+const checkWithdrawal = (processingNumber) =>
+  postForm(`${API_URL}/v1/payouts/check`, {
+    ...payoutCredentials(),
+    processing_number: processingNumber,
+  });
+
+// Monetbil has no refund API: refunds are payouts to the payer's number
+const createMonetbilProvider = () => {
+  const toUpdate = (fields) => ({
+    paymentRef: fields.payment_ref,
+    providerTransactionId: fields.transaction_id || null,
+    rawStatus: fields.status,
+    status: toTransactionStatus(fields.status),
+    amount: fields.amount !== undefined ? parseFloat(fields.amount) : null,
+    fee: parseFloat(fields.fee || 0),
+    operator: fields.operator || null,
+    message: fields.message || null,
+  });
+
+  const payout = ({ reference, phone, amount }) =>
+    requestWithdrawal({ processingNumber: reference, phone, amount, notifyUrl: PAYOUT_NOTIFY_URL });
+
+  return {
+    name: 'monetbil',
+    displayName: 'Monetbil',
+
+    initiate: ({ paymentRef, userId, amount, phone, operator }) =>
+      requestPayment({
+        paymentRef,
+        userId,
+        amount,
+        phone,
+        operator,
+        notifyUrl: DEPOSIT_NOTIFY_URL,
+        returnUrl: DEPOSIT_RETURN_URL,
+      }),
+
+    parseCallback: (payload) => (payload.payment_ref && payload.status ? toUpdate(payload) : null),
+
+    verifyCallback: isValidCallbackSignature,
+
+    checkStatus: async ({ paymentRef, providerTransactionId }) => {
+      const result = await checkPayment(providerTransactionId || paymentRef);
+      if (!result || !result.status) {
+        throw new Error(`Monetbil returned no status for ${paymentRef}`);
+      }
+      return toUpdate({ ...result, payment_ref: paymentRef, transaction_id: result.transaction_id || providerTransactionId });
+    },
+
+    payout,
+
+    parsePayoutNotification: (payload) =>
+      payload.processing_number ? { reference: payload.processing_number, rawStatus: payload.status || null } : null,
+
+    checkPayout: async (reference) => {
+      const result = await checkWithdrawal(reference);
+      return { rawStatus: result.status, status: toPayoutStatus(result.status) };
+    },
+
+    refund: payout,
+  };
+};
+
+module.exports = {
+  OPERATORS,
+  normalizePhone,
+  createMonetbilProvider,
+};
@@ -0,0 +1,29 @@
+// Outbound SMS through an HTTP gateway. SMS_GATEWAY_URL receives a JSON POST
+// of { to, message }; without it messages are only logged, which is what
+// development setups want.
+
+const SMS_GATEWAY_URL = process.env.SMS_GATEWAY_URL;
+const SMS_GATEWAY_KEY = process.env.SMS_GATEWAY_KEY;
+
+const sendSms = async (to, message) => {
+  if (!SMS_GATEWAY_URL) {
+    console.log(`SMS to ${to} (no gateway configured): ${message}`);
+    return { sent: false };
+  }
+
+  const response = await fetch(SMS_GATEWAY_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(SMS_GATEWAY_KEY && { Authorization: `Bearer ${SMS_GATEWAY_KEY}` }),
+    },
+    body: JSON.stringify({ to, message }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`SMS gateway error: ${response.status} ${await response.text()}`);
+  }
+  return { sent: true };
+};
+
+module.exports = { sendSms };
@@ -0,0 +1,62 @@
+// Payment providers behind a small interface so deposits, payouts and refunds
+// don't depend on one mobile-money API. A provider is an object with
+//
+//   name, displayName
+//   initiate({ paymentRef, userId, amount, phone, operator })
+//     -> Promise<{ paymentUrl }>                 start a deposit
+//   parseCallback(payload) -> update | null     read a payment callback
+//   verifyCallback(payload) -> boolean          check its signature
+//   checkStatus({ paymentRef, providerTransactionId }) -> Promise<update>
+//   payout({ reference, phone, amount }) -> Promise   send money to a phone
+//   parsePayoutNotification(payload) -> { reference, rawStatus } | null
+//   checkPayout(reference) -> Promise<{ rawStatus, status }>
+//   refund({ reference, phone, amount }) -> Promise   return money to a phone
+//
+// where an update is { paymentRef, providerTransactionId, rawStatus, status,
+// amount, fee, operator, message } and status is ours: completed, failed or
+// pending. payout and refund reject with error.rejected set when the provider
+// declined the request; any other error (a timeout, a 5xx) leaves it unknown
+// whether money left. checkPayout only reports failed for an explicit
+// failure. Providers read their own credentials and callback URLs from the
+// environment. Transactions remember their provider, so callbacks, status
+// checks and payouts always go back to the one that handled them.
+//
+// PAYMENT_PROVIDER picks the provider new deposits and payouts use:
+// monetbil (default) or sandbox, a local simulator for development.
+
+const { createMonetbilProvider } = require('./monetbil');
+const { createSandboxProvider } = require('./sandbox-provider');
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'monetbil';
+
+const providers = new Map();
+const registerProvider = (provider) => providers.set(provider.name, provider);
+
+registerProvider(createMonetbilProvider());
+
+// The sandbox accepts callbacks signed with a local secret, so it only exists
+// when it was asked for
+if (PAYMENT_PROVIDER === 'sandbox') {
+  console.warn('Payments run against the sandbox provider; no real money moves');
+  registerProvider(createSandboxProvider());
+}
+
+// Transactions from before providers were recorded went through Monetbil
+const getProvider = (name = 'monetbil') => {
+  const provider = providers.get(name || 'monetbil');
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// The provider new deposits and payouts go through
+const defaultProvider = () => getProvider(PAYMENT_PROVIDER);
+
+const listProviders = () => [...providers.values()];
+
+module.exports = {
+  getProvider,
+  defaultProvider,
+  listProviders,
+};
@@ -0,0 +1,338 @@
+// Promo codes for rides and food orders. A code gives a percentage (capped by
+// max_discount) or a flat amount off, and can be limited by:
+//
+//   starts_at / ends_at   validity window
+//   min_spend             smallest fare or order total it applies to
+//   usage_limit           redemptions across all users
+//   per_user_limit        redemptions per user
+//   applies_to            rides, orders or all
+//   business_category     only orders from businesses of this category
+//   first_ride_only       only riders who haven't completed a ride yet
+//
+// Codes are checked when quoting and redeemed when the ride is booked or the
+// order placed. The redeem_promo RPC counts redemptions with the code row
+// locked, so concurrent bookings can't go over a limit. The discount is
+// locked in as an amount at booking; rides that end without a trip give the
+// redemption back.
+//
+// The platform funds discounts: at completion the discount moves from
+// revenue to the driver's side, so drivers earn on the full fare.
+
+const express = require('express');
+const { rideEvents } = require('./ride-lifecycle');
+const { creditWallet, toTransactionUpdate } = require('./wallet');
+const { ACCOUNTS, postJournal } = require('./ledger');
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+const TARGETS = ['rides', 'orders', 'all'];
+
+// What the rider or customer pays once a locked discount is taken off
+const discountedAmount = (amount, discount) => Math.max(0, amount - (Number(discount) || 0));
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const discountFor = (promo, amount) => {
+  const raw =
+    promo.discount_type === 'percent' ? Math.floor((amount * promo.discount_value) / 100) : promo.discount_value;
+  const capped = promo.max_discount ? Math.min(raw, promo.max_discount) : raw;
+  return Math.min(Math.round(capped), amount);
+};
+
+const validatePromo = ({ code, discount_type: discountType, discount_value: discountValue, applies_to: appliesTo = 'all' }) => {
+  if (!normalizeCode(code)) {
+    throw new Error('code is required');
+  }
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw new Error(`discount_type must be one of ${DISCOUNT_TYPES.join(', ')}`);
+  }
+  if (!(typeof discountValue === 'number' && discountValue > 0) || (discountType === 'percent' && discountValue > 100)) {
+    throw new Error('discount_value must be a positive amount, or a percentage up to 100');
+  }
+  if (!TARGETS.includes(appliesTo)) {
+    throw new Error(`applies_to must be one of ${TARGETS.join(', ')}`);
+  }
+};
+
+const PROMO_FIELDS = [
+  'code',
+  'description',
+  'discount_type',
+  'discount_value',
+  'max_discount',
+  'min_spend',
+  'starts_at',
+  'ends_at',
+  'usage_limit',
+  'per_user_limit',
+  'applies_to',
+  'business_category',
+  'first_ride_only',
+  'active',
+];
+
+const createPromotions = ({ supabase, io }) => {
+  const hasCompletedRide = async (userId) => {
+    const { count, error } = await supabase
+      .from('ride_requests')
+      .select('id', { count: 'exact', head: true })
+      .eq('rider_id', userId)
+      .eq('status', 'completed');
+    if (error) throw error;
+    return count > 0;
+  };
+
+  const countRedemptions = async (promoId, userId = null) => {
+    let query = supabase
+      .from('promo_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promo_id', promoId)
+      .eq('status', 'redeemed');
+    if (userId) query = query.eq('user_id', userId);
+    const { count, error } = await query;
+    if (error) throw error;
+    return count;
+  };
+
+  // { promo, discount } for using code on a ride ({ kind: 'ride' }) or an order
+  // ({ kind: 'order', businessId }) worth amount. Throws with a message the
+  // user can be shown when the code doesn't apply.
+  const checkCode = async ({ code, userId, target, amount }) => {
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('code', normalizeCode(code))
+      .maybeSingle();
+    if (error) throw error;
+    if (!promo || !promo.active) {
+      throw new Error('Promo code not found');
+    }
+
+    const now = new Date();
+    if (promo.starts_at && new Date(promo.starts_at) > now) {
+      throw new Error('Promo code is not active yet');
+    }
+    if (promo.ends_at && new Date(promo.ends_at) <= now) {
+      throw new Error('Promo code has expired');
+    }
+
+    const wanted = target.kind === 'ride' ? 'rides' : 'orders';
+    if (promo.applies_to !== 'all' && promo.applies_to !== wanted) {
+      throw new Error(`Promo code only applies to ${promo.applies_to}`);
+    }
+    if (promo.business_category) {
+      if (target.kind !== 'order') {
+        throw new Error(`Promo code only applies to ${promo.business_category} orders`);
+      }
+      const { data: business, error: businessError } = await supabase
+        .from('businesses')
+        .select('category')
+        .eq('id', target.businessId)
+        .maybeSingle();
+      if (businessError) throw businessError;
+      if (business?.category !== promo.business_category) {
+        throw new Error(`Promo code only applies to ${promo.business_category} orders`);
+      }
+    }
+    if (promo.first_ride_only && (target.kind !== 'ride' || (await hasCompletedRide(userId)))) {
+      throw new Error('Promo code is only valid on your first ride');
+    }
+    if (promo.min_spend && amount < promo.min_spend) {
+      throw new Error(`Promo code needs a minimum spend of ${promo.min_spend} XAF`);
+    }
+
+    // Early answers for quotes; redeem_promo enforces these under a lock
+    if (promo.usage_limit && (await countRedemptions(promo.id)) >= promo.usage_limit) {
+      throw new Error('Promo code has reached its usage limit');
+    }
+    if (promo.per_user_limit && (await countRedemptions(promo.id, userId)) >= promo.per_user_limit) {
+      throw new Error('You have already used this promo code');
+    }
+
+    return { promo, discount: discountFor(promo, amount) };
+  };
+
+  // Promo part of a quote: the discount and what's left to pay, or why the
+  // code doesn't apply
+  const quotePromo = async ({ code, userId, target, amount }) => {
+    try {
+      const { promo, discount } = await checkCode({ code, userId, target, amount });
+      return { code: promo.code, discount, total: discountedAmount(amount, discount) };
+    } catch (error) {
+      return { code: normalizeCode(code), error: error.message };
+    }
+  };
+
+  // Check the code and record its use for a ride or order in one go.
+  // Returns { code, discount } with the discount locked in.
+  const redeem = async ({ code, userId, target, amount, rideId = null, orderId = null }) => {
+    const { promo, discount } = await checkCode({ code, userId, target, amount });
+    const { error } = await supabase.rpc('redeem_promo', {
+      p_promo_id: promo.id,
+      p_user_id: userId,
+      p_discount: discount,
+      p_ride_id: rideId,
+      p_order_id: orderId,
+    });
+    if (error) throw new Error(error.message);
+    return { code: promo.code, discount };
+  };
+
+  // Give a redemption back, e.g. when the ride was never taken
+  const release = async ({ rideId, orderId }) => {
+    let query = supabase
+      .from('promo_redemptions')
+      .update({ status: 'released', released_at: new Date().toISOString() })
+      .eq('status', 'redeemed');
+    query = rideId ? query.eq('ride_id', rideId) : query.eq('order_id', orderId);
+    const { error } = await query;
+    if (error) throw error;
+  };
+
+  // Pay the discount of a completed ride from platform revenue into what the
+  // driver is settled from: driver payables on digital rides, the driver's
+  // wallet on cash rides (they collected the discounted fare)
+  const fundRideDiscount = async (ride) => {
+    const fare = Number(ride.final_fare ?? ride.fare ?? ride.cost ?? 0);
+    const discount = Math.min(Number(ride.discount) || 0, fare);
+    if (!ride.driver_id || discount <= 0) return;
+
+    if (String(ride.payment_method || 'Cash').toLowerCase() === 'cash') {
+      const { transaction } = await creditWallet(supabase, {
+        userId: ride.driver_id,
+        amount: discount,
+        type: 'promo_compensation',
+        description: `Promo discount on a cash ride (${ride.promo_code})`,
+        rideId: ride.id,
+        counterAccount: ACCOUNTS.revenue,
+      });
+      io.to(ride.driver_id).emit('transaction_update', toTransactionUpdate(transaction));
+      return;
+    }
+
+    await postJournal(supabase, {
+      kind: 'promo_discount',
+      description: `Promo discount (${ride.promo_code})`,
+      rideId: ride.id,
+      idempotencyKey: `promo:${ride.id}`,
+      entries: [
+        { account: ACCOUNTS.revenue, amount: -discount },
+        { account: ACCOUNTS.driverPayables, amount: discount },
+      ],
+    });
+  };
+
+  rideEvents.on('transition', ({ ride, to }) => {
+    if (!ride.promo_code) return;
+    let work = null;
+    if (to === 'completed') {
+      work = fundRideDiscount(ride);
+    } else if (['canceled', 'declined'].includes(to)) {
+      work = release({ rideId: ride.id });
+    }
+    work?.catch((err) => console.error(`Error settling promo for ride ${ride.id}:`, err.message));
+  });
+
+  // Campaign management, mounted behind requireAdmin
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('promo_codes').select('*').order('created_at', { ascending: false });
+      if (error) throw error;
+      res.json({ promotions: data });
+    } catch (error) {
+      console.error('Error listing promo codes:', error.message);
+      res.status(500).json({ error: 'Failed to list promo codes' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const promo = {};
+    PROMO_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) promo[field] = req.body[field];
+    });
+    try {
+      validatePromo(promo);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .insert({ ...promo, code: normalizeCode(promo.code), created_by: req.adminId })
+        .select()
+        .single();
+      if (error?.code === '23505') return res.status(409).json({ error: 'Promo code already exists' });
+      if (error) throw error;
+      res.status(201).json({ promotion: data });
+    } catch (error) {
+      console.error('Error creating promo code:', error.message);
+      res.status(500).json({ error: 'Failed to create promo code' });
+    }
+  });
+
+  router.patch('/:promoId', async (req, res) => {
+    const updates = {};
+    PROMO_FIELDS.filter((field) => field !== 'code').forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    try {
+      const { data: existing, error: loadError } = await supabase
+        .from('promo_codes')
+        .select('*')
+        .eq('id', req.params.promoId)
+        .maybeSingle();
+      if (loadError) throw loadError;
+      if (!existing) return res.status(404).json({ error: 'Promo code not found' });
+
+      try {
+        validatePromo({ ...existing, ...updates });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', req.params.promoId)
+        .select()
+        .single();
+      if (error) throw error;
+      res.json({ promotion: data });
+    } catch (error) {
+      console.error('Error updating promo code:', error.message);
+      res.status(500).json({ error: 'Failed to update promo code' });
+    }
+  });
+
+  router.get('/:promoId/redemptions', async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from('promo_redemptions')
+        .select('*')
+        .eq('promo_id', req.params.promoId)
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      res.json({ redemptions: data });
+    } catch (error) {
+      console.error('Error listing promo redemptions:', error.message);
+      res.status(500).json({ error: 'Failed to list promo redemptions' });
+    }
+  });
+
+  return {
+    router,
+    checkCode,
+    quotePromo,
+    redeem,
+    release,
+  };
+};
+
+module.exports = {
+  discountedAmount,
+  discountFor,
+  createPromotions,
+};
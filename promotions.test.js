@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { discountFor, discountedAmount } = require('./promotions');
+
+test('discountFor takes a percentage off, rounded down', () => {
+  assert.strictEqual(discountFor({ discount_type: 'percent', discount_value: 10 }, 2500), 250);
+  // 15% of 1999 is 299.85
+  assert.strictEqual(discountFor({ discount_type: 'percent', discount_value: 15 }, 1999), 299);
+});
+
+test('discountFor caps a percentage at max_discount', () => {
+  const promo = { discount_type: 'percent', discount_value: 50, max_discount: 1000 };
+  assert.strictEqual(discountFor(promo, 1500), 750);
+  assert.strictEqual(discountFor(promo, 5000), 1000);
+});
+
+test('discountFor takes a flat amount off', () => {
+  assert.strictEqual(discountFor({ discount_type: 'flat', discount_value: 500 }, 2000), 500);
+});
+
+test('discountFor never discounts more than the amount', () => {
+  assert.strictEqual(discountFor({ discount_type: 'flat', discount_value: 500 }, 300), 300);
+  assert.strictEqual(discountFor({ discount_type: 'percent', discount_value: 100 }, 1250), 1250);
+});
+
+test('discountedAmount takes the locked discount off', () => {
+  assert.strictEqual(discountedAmount(2500, 250), 2250);
+  assert.strictEqual(discountedAmount(2500, '250'), 2250);
+});
+
+test('discountedAmount treats a missing discount as none and never goes below 0', () => {
+  assert.strictEqual(discountedAmount(2500, null), 2500);
+  assert.strictEqual(discountedAmount(2500, undefined), 2500);
+  assert.strictEqual(discountedAmount(300, 500), 0);
+});
@@ -0,0 +1,112 @@
+// Two-way ratings: after a completed ride the rider rates the driver and the
+// driver rates the rider, once each. Averages over the most recent ratings
+// are kept on the users row and low scorers are flagged for review.
+
+const { getRide } = require('./ride-lifecycle');
+
+const RATING_WINDOW = Number(process.env.RATING_WINDOW) || 100;
+const REVIEW_THRESHOLD = Number(process.env.RATING_REVIEW_THRESHOLD) || 4.0;
+const REVIEW_MIN_RATINGS = Number(process.env.RATING_REVIEW_MIN_RATINGS) || 5;
+const DEFAULT_RATING = 5.0;
+const MAX_TAGS = 5;
+const MAX_COMMENT_LENGTH = 500;
+
+// Recompute a user's rolling average from their latest ratings
+const refreshUserRating = async (supabase, userId) => {
+  const { data: ratings, error } = await supabase
+    .from('ride_ratings')
+    .select('score')
+    .eq('ratee_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(RATING_WINDOW);
+  if (error) throw error;
+
+  const count = ratings.length;
+  const average = count ? ratings.reduce((sum, r) => sum + r.score, 0) / count : DEFAULT_RATING;
+  const rounded = Math.round(average * 100) / 100;
+
+  const update = { rating_avg: rounded, rating_count: count };
+  if (count >= REVIEW_MIN_RATINGS && rounded < REVIEW_THRESHOLD) {
+    // Flags are cleared by an operator after review, never automatically
+    update.flagged_for_review = true;
+    update.flagged_at = new Date().toISOString();
+  }
+
+  const { error: updateError } = await supabase.from('users').update(update).eq('id', userId);
+  if (updateError) throw updateError;
+
+  if (update.flagged_for_review) {
+    console.warn(`User ${userId} flagged for review: average rating ${rounded} over ${count} rides`);
+  }
+  return { average: rounded, count };
+};
+
+// Record one party's rating of the other for a completed ride
+const rateRide = async (supabase, { rideId, raterId, score, comment = null, tags = [] }) => {
+  if (!rideId || !raterId) {
+    throw new Error('Missing required fields: rideId, raterId');
+  }
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    throw new Error('Invalid score: must be an integer from 1 to 5');
+  }
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some((tag) => typeof tag !== 'string')) {
+    throw new Error(`Invalid tags: up to ${MAX_TAGS} strings allowed`);
+  }
+  if (comment && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    throw new Error(`Invalid comment: up to ${MAX_COMMENT_LENGTH} characters allowed`);
+  }
+
+  const { ride } = await getRide(supabase, rideId);
+  if (!ride || ride.status !== 'completed') {
+    throw new Error('Only completed rides can be rated');
+  }
+
+  let raterRole;
+  if (raterId === ride.rider_id) raterRole = 'rider';
+  else if (raterId === ride.driver_id) raterRole = 'driver';
+  else throw new Error('Only the rider or driver of this ride can rate it');
+
+  const rateeId = raterRole === 'rider' ? ride.driver_id : ride.rider_id;
+
+  const { data: rating, error } = await supabase
+    .from('ride_ratings')
+    .insert({
+      ride_id: rideId,
+      rater_id: raterId,
+      ratee_id: rateeId,
+      rater_role: raterRole,
+      score,
+      comment,
+      tags,
+    })
+    .select()
+    .single();
+  if (error) {
+    // 23505: unique_violation on (ride_id, rater_id)
+    if (error.code === '23505') throw new Error('You have already rated this ride');
+    throw error;
+  }
+
+  const rateeRating = await refreshUserRating(supabase, rateeId);
+  return { rating, rateeRating };
+};
+
+// Current average for display, falling back to the default for new users
+const getUserRating = async (supabase, userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('rating_avg, rating_count')
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) throw error;
+
+  return {
+    average: data?.rating_avg ?? DEFAULT_RATING,
+    count: data?.rating_count ?? 0,
+  };
+};
+
+module.exports = {
+  rateRide,
+  getUserRating,
+};
@@ -0,0 +1,305 @@
+// Reconciliation of payment provider transactions. Deposits and payouts that
+// stay pending past a threshold are checked with their provider on an
+// exponential backoff, and final statuses are applied through the webhook
+// inbox, exactly like a callback would be. Deposits still unpaid after a
+// cutoff are marked abandoned (a late callback still completes them). Once a
+// day, the previous day's transactions are compared with the providers'
+// records and the mismatches stored as a report.
+
+const express = require('express');
+const { getProvider } = require('./payment-providers');
+const { receiveEvent } = require('./webhook-inbox');
+const { toTransactionUpdate } = require('./wallet');
+
+const STALE_AFTER_MS = (Number(process.env.RECONCILE_STALE_MINUTES) || 15) * 60 * 1000;
+const ABANDON_AFTER_MS = (Number(process.env.RECONCILE_ABANDON_HOURS) || 24) * 60 * 60 * 1000;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const TICK_INTERVAL_MS = 60 * 1000;
+
+const PROVIDER_TYPES = ['deposit', 'payout', 'refund_payout'];
+
+// Wait before the next check of a transaction checked attempts times already
+const backoffFor = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** attempts, MAX_BACKOFF_MS);
+
+// UTC day as YYYY-MM-DD
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const createReconciler = ({ supabase, app }) => {
+  let interval = null;
+
+  // The provider's current status for one of our transactions: rawStatus in
+  // its own terms, status in ours, plus the full update for deposits
+  const providerStatus = async (transaction) => {
+    const provider = getProvider(transaction.provider);
+    if (transaction.type !== 'deposit') {
+      return { provider, ...(await provider.checkPayout(transaction.payment_ref)) };
+    }
+    const update = await provider.checkStatus({
+      paymentRef: transaction.payment_ref,
+      providerTransactionId: transaction.transaction_id,
+    });
+    return { provider, rawStatus: update.rawStatus, status: update.status, update };
+  };
+
+  // Hand a final provider status to the same processor the webhooks use
+  const applyProviderStatus = (transaction, { provider, rawStatus, update }) => {
+    const upperStatus = String(rawStatus).toUpperCase();
+    if (transaction.type !== 'deposit') {
+      return receiveEvent(
+        {
+          source: `${provider.name}:status`,
+          idempotencyKey: `${provider.name}:payout:${transaction.payment_ref}:${upperStatus}`,
+          payload: { kind: 'payout', reference: transaction.payment_ref },
+          signatureValid: null,
+        },
+        { supabase, app }
+      );
+    }
+    return receiveEvent(
+      {
+        source: `${provider.name}:status`,
+        idempotencyKey: `${provider.name}:check:${transaction.payment_ref}:${upperStatus}`,
+        payload: {
+          kind: 'payment',
+          ...update,
+          amount: update.amount ?? parseFloat(transaction.amount),
+          message: update.message || 'Status updated by reconciliation',
+        },
+        signatureValid: null,
+      },
+      { supabase, app }
+    );
+  };
+
+  const scheduleNextCheck = async (transaction) => {
+    const attempts = (transaction.reconcile_attempts || 0) + 1;
+    const { error } = await supabase
+      .from('transactions')
+      .update({
+        reconcile_attempts: attempts,
+        next_reconcile_at: new Date(Date.now() + backoffFor(attempts)).toISOString(),
+      })
+      .eq('id', transaction.id);
+    if (error) throw error;
+  };
+
+  // Give up on a deposit nobody paid. Payouts are never abandoned: the money
+  // may already have left, so they stay pending and show up in the report.
+  const abandon = async (transaction) => {
+    const { data: abandoned, error } = await supabase
+      .from('transactions')
+      .update({
+        status: 'abandoned',
+        description: 'Deposit abandoned - no payment received',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', transaction.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!abandoned) return;
+    app.get('io').to(abandoned.user_id).emit('transaction_update', toTransactionUpdate(abandoned));
+    console.log(`Deposit ${abandoned.payment_ref} abandoned`);
+  };
+
+  const reconcile = async (transaction) => {
+    let checked = null;
+    try {
+      checked = await providerStatus(transaction);
+    } catch (err) {
+      console.error(`Error checking ${transaction.type} ${transaction.payment_ref} with its provider:`, err.message);
+    }
+
+    if (checked?.rawStatus && checked.status !== 'pending') {
+      const outcome = await applyProviderStatus(transaction, checked);
+      if (outcome.status < 400) return;
+    }
+
+    const age = Date.now() - new Date(transaction.created_at).getTime();
+    if (transaction.type === 'deposit' && age >= ABANDON_AFTER_MS) {
+      await abandon(transaction);
+    } else {
+      await scheduleNextCheck(transaction);
+    }
+  };
+
+  // Check the provider transactions that have been pending too long and are
+  // due for another look
+  const reconcilePending = async () => {
+    const now = new Date();
+    const { data: transactions, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('status', 'pending')
+      .in('type', PROVIDER_TYPES)
+      .lt('created_at', new Date(now.getTime() - STALE_AFTER_MS).toISOString())
+      .or(`next_reconcile_at.is.null,next_reconcile_at.lte.${now.toISOString()}`)
+      .order('created_at', { ascending: true })
+      .limit(BATCH_SIZE);
+    if (error) throw error;
+
+    for (const transaction of transactions) {
+      try {
+        await reconcile(transaction);
+      } catch (err) {
+        console.error(`Error reconciling transaction ${transaction.payment_ref}:`, err.message);
+      }
+    }
+    return transactions.length;
+  };
+
+  // Compare one day of provider transactions with their providers: statuses
+  // that disagree, completed deposits without their wallet credit, and
+  // transactions the provider couldn't tell us about
+  const buildDailyReport = async (reportDate) => {
+    const from = new Date(`${reportDate}T00:00:00.000Z`);
+    const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    const { data: transactions, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .in('type', PROVIDER_TYPES)
+      .gte('created_at', from.toISOString())
+      .lt('created_at', to.toISOString());
+    if (error) throw error;
+
+    const depositKeys = transactions
+      .filter((transaction) => transaction.type === 'deposit' && transaction.status === 'completed')
+      .map((transaction) => `deposit:${transaction.payment_ref}`);
+    const { data: journals, error: journalError } = depositKeys.length
+      ? await supabase.from('ledger_journals').select('idempotency_key').in('idempotency_key', depositKeys)
+      : { data: [], error: null };
+    if (journalError) throw journalError;
+    const credited = new Set(journals.map((journal) => journal.idempotency_key));
+
+    const mismatches = [];
+    for (const transaction of transactions) {
+      const ours = {
+        paymentRef: transaction.payment_ref,
+        type: transaction.type,
+        provider: transaction.provider || 'monetbil',
+        amount: transaction.amount,
+        status: transaction.status,
+      };
+
+      if (depositKeys.includes(`deposit:${transaction.payment_ref}`) && !credited.has(`deposit:${transaction.payment_ref}`)) {
+        mismatches.push({ ...ours, issue: 'missing_wallet_credit' });
+      }
+
+      try {
+        const { rawStatus, status: theirs } = await providerStatus(transaction);
+        const agrees = theirs === transaction.status || (theirs === 'pending' && transaction.status === 'abandoned');
+        if (!agrees) {
+          mismatches.push({ ...ours, issue: 'status_mismatch', providerStatus: rawStatus });
+        }
+      } catch (err) {
+        mismatches.push({ ...ours, issue: 'provider_error', error: err.message });
+      }
+    }
+
+    const { data: report, error: saveError } = await supabase
+      .from('reconciliation_reports')
+      .upsert(
+        {
+          report_date: reportDate,
+          checked: transactions.length,
+          mismatch_count: mismatches.length,
+          mismatches,
+          generated_at: new Date().toISOString(),
+        },
+        { onConflict: 'report_date' }
+      )
+      .select()
+      .single();
+    if (saveError) throw saveError;
+
+    console.log(`Reconciliation report for ${reportDate}: ${mismatches.length} mismatches in ${transactions.length} transactions`);
+    return report;
+  };
+
+  // Build yesterday's report unless it already exists
+  const ensureDailyReport = async () => {
+    const yesterday = dayOf(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const { data: existing, error } = await supabase
+      .from('reconciliation_reports')
+      .select('report_date')
+      .eq('report_date', yesterday)
+      .maybeSingle();
+    if (error) throw error;
+    if (!existing) await buildDailyReport(yesterday);
+  };
+
+  const tick = async () => {
+    await reconcilePending();
+    await ensureDailyReport();
+  };
+
+  const start = () => {
+    clearInterval(interval);
+    interval = setInterval(() => {
+      tick().catch((err) => console.error('Error in reconciliation tick:', err.message));
+    }, TICK_INTERVAL_MS);
+    return tick();
+  };
+
+  const stop = () => clearInterval(interval);
+
+  // Admin views of the reports, mounted behind requireAdmin
+  const router = express.Router();
+
+  router.get('/reports', async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from('reconciliation_reports')
+        .select('report_date, checked, mismatch_count, generated_at')
+        .order('report_date', { ascending: false })
+        .limit(Math.min(Number(req.query.limit) || 30, 365));
+      if (error) throw error;
+      res.json({ reports: data });
+    } catch (error) {
+      console.error('Error listing reconciliation reports:', error.message);
+      res.status(500).json({ error: 'Failed to list reconciliation reports' });
+    }
+  });
+
+  router.get('/reports/:date', async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from('reconciliation_reports')
+        .select('*')
+        .eq('report_date', req.params.date)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(404).json({ error: 'Report not found' });
+      res.json({ report: data });
+    } catch (error) {
+      console.error('Error fetching reconciliation report:', error.message);
+      res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+    }
+  });
+
+  // Build (or rebuild) the report for a day on demand
+  router.post('/reports/:date', async (req, res) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date) || isNaN(new Date(req.params.date).getTime())) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    try {
+      res.status(201).json({ report: await buildDailyReport(req.params.date) });
+    } catch (error) {
+      console.error('Error building reconciliation report:', error.message);
+      res.status(500).json({ error: 'Failed to build reconciliation report' });
+    }
+  });
+
+  return {
+    router,
+    start,
+    stop,
+    reconcilePending,
+    buildDailyReport,
+  };
+};
+
+module.exports = { createReconciler };
@@ -0,0 +1,219 @@
+// Referral program. Every user gets a referral code at registration and can
+// sign up with someone else's. When the referred user completes their first
+// ride or order, both of them get a wallet reward.
+//
+// Referrals that look like self-referrals (the referrer's own phone number or
+// signup device, or a phone or device that was already referred) are recorded
+// as rejected and never rewarded; the signup itself still goes through.
+
+const crypto = require('crypto');
+const express = require('express');
+const { rideEvents } = require('./ride-lifecycle');
+const { creditWallet, toTransactionUpdate } = require('./wallet');
+const { ACCOUNTS } = require('./ledger');
+
+const REFERRER_REWARD = Number(process.env.REFERRAL_REWARD) || 500;
+const REFEREE_REWARD = Number(process.env.REFERRAL_REFEREE_REWARD) || REFERRER_REWARD;
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () =>
+  Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '') || null;
+
+const createReferrals = ({ supabase, io }) => {
+  // Give a new user their own code, retrying on the rare collision
+  const assignCode = async (userId) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = generateCode();
+      const { error } = await supabase.from('users').update({ referral_code: code }).eq('id', userId);
+      if (!error) return code;
+      if (error.code !== '23505') throw error;
+    }
+    throw new Error('Could not generate a unique referral code');
+  };
+
+  // Why a referral shouldn't be rewarded, or null if it looks genuine
+  const fraudReason = async ({ referrer, refereeId, phone, deviceId }) => {
+    if (referrer.id === refereeId) {
+      return 'self_referral';
+    }
+    if (phone && normalizePhone(referrer.phone) === phone) {
+      return 'same_phone';
+    }
+    if (deviceId && referrer.signup_device_id === deviceId) {
+      return 'same_device';
+    }
+
+    const checks = [
+      phone && ['referee_phone', phone, 'phone_already_referred'],
+      deviceId && ['referee_device_id', deviceId, 'device_already_referred'],
+    ].filter(Boolean);
+    for (const [column, value, reason] of checks) {
+      const { count, error } = await supabase
+        .from('referrals')
+        .select('id', { count: 'exact', head: true })
+        .eq(column, value);
+      if (error) throw error;
+      if (count > 0) return reason;
+    }
+    return null;
+  };
+
+  // Record that refereeId signed up with code. Returns { status, reason }.
+  const recordReferral = async ({ refereeId, code, phone, deviceId }) => {
+    const { data: referrer, error } = await supabase
+      .from('users')
+      .select('id, phone, signup_device_id')
+      .eq('referral_code', String(code).trim().toUpperCase())
+      .maybeSingle();
+    if (error) throw error;
+    if (!referrer) {
+      return { status: 'invalid', reason: 'unknown_code' };
+    }
+
+    const refereePhone = normalizePhone(phone);
+    const reason = await fraudReason({ referrer, refereeId, phone: refereePhone, deviceId });
+    const { error: insertError } = await supabase.from('referrals').insert({
+      referrer_id: referrer.id,
+      referee_id: refereeId,
+      code: String(code).trim().toUpperCase(),
+      referee_phone: refereePhone,
+      referee_device_id: deviceId || null,
+      status: reason ? 'rejected' : 'pending',
+      rejection_reason: reason,
+    });
+    if (insertError?.code === '23505') {
+      return { status: 'rejected', reason: 'already_referred' };
+    }
+    if (insertError) throw insertError;
+
+    if (reason) console.warn(`Referral of ${refereeId} by ${referrer.id} rejected: ${reason}`);
+    return { status: reason ? 'rejected' : 'pending', reason };
+  };
+
+  const reward = async (userId, amount, description, paymentRef) => {
+    const { transaction } = await creditWallet(supabase, {
+      userId,
+      amount,
+      type: 'referral_reward',
+      description,
+      counterAccount: ACCOUNTS.revenue,
+      paymentRef,
+    });
+    io.to(userId).emit('transaction_update', toTransactionUpdate(transaction));
+  };
+
+  // Pay out a pending referral once its referee completed a ride or order.
+  // Each reward is keyed on the referral, so paying it again (a ride and an
+  // order completing at the same time, or a retry after a failed credit) is
+  // a no-op. The referral is only marked rewarded once both are paid; until
+  // then it stays pending and the next purchase retries it.
+  const handleFirstPurchase = async (userId) => {
+    const { data: pending, error: fetchError } = await supabase
+      .from('referrals')
+      .select('id, referrer_id, referee_id')
+      .eq('referee_id', userId)
+      .eq('status', 'pending')
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!pending) return null;
+
+    await reward(
+      pending.referrer_id,
+      REFERRER_REWARD,
+      'Referral reward: a friend you invited took their first trip',
+      `referral:${pending.id}:referrer`
+    );
+    await reward(
+      pending.referee_id,
+      REFEREE_REWARD,
+      'Welcome reward for joining with a referral code',
+      `referral:${pending.id}:referee`
+    );
+
+    const { data: referral, error } = await supabase
+      .from('referrals')
+      .update({
+        status: 'rewarded',
+        referrer_reward: REFERRER_REWARD,
+        referee_reward: REFEREE_REWARD,
+        rewarded_at: new Date().toISOString(),
+      })
+      .eq('id', pending.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!referral) return null;
+
+    console.log(`Referral of ${referral.referee_id} by ${referral.referrer_id} rewarded`);
+    return referral;
+  };
+
+  rideEvents.on('transition', ({ ride, to }) => {
+    if (to !== 'completed') return;
+    handleFirstPurchase(ride.rider_id).catch((err) =>
+      console.error(`Error rewarding referral for rider ${ride.rider_id}:`, err.message)
+    );
+  });
+
+  // Invites, conversions and rewards earned by one user's code
+  const getStats = async (userId) => {
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('referral_code')
+      .eq('id', userId)
+      .maybeSingle();
+    if (userError) throw userError;
+    if (!user) throw new Error('User not found');
+
+    const { data: referrals, error } = await supabase
+      .from('referrals')
+      .select('status, referrer_reward, created_at, rewarded_at')
+      .eq('referrer_id', userId);
+    if (error) throw error;
+
+    const countOf = (status) => referrals.filter((referral) => referral.status === status).length;
+    return {
+      code: user.referral_code,
+      invites: referrals.length,
+      conversions: countOf('rewarded'),
+      pending: countOf('pending'),
+      rejected: countOf('rejected'),
+      rewardsEarned: referrals.reduce((sum, referral) => sum + (referral.referrer_reward || 0), 0),
+    };
+  };
+
+  // Mounted behind requireUser; users only see their own stats
+  const router = express.Router();
+
+  router.param('userId', (req, res, next, userId) => {
+    if (req.userId !== userId) {
+      return res.status(403).json({ error: 'Can only view your own referral stats' });
+    }
+    next();
+  });
+
+  router.get('/:userId/stats', async (req, res) => {
+    try {
+      res.json(await getStats(req.params.userId));
+    } catch (error) {
+      console.error('Error fetching referral stats:', error.message);
+      res.status(error.message === 'User not found' ? 404 : 500).json({ error: error.message });
+    }
+  });
+
+  return {
+    router,
+    assignCode,
+    recordReferral,
+    handleFirstPurchase,
+    getStats,
+  };
+};
+
+module.exports = { createReferrals };
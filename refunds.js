@@ -0,0 +1,213 @@
+// Refunds of rides, orders and individual wallet charges, full or partial.
+// Each refund is first reserved by the reserve_refund RPC, which checks under
+// a lock that everything refunded against the same ride, order or transaction
+// stays within what was paid for it; only then is money moved. Charges that
+// belong to a ride are refunded through the ride. Refunds land
+// in the user's wallet, and with the mobile_money channel are sent straight
+// on to their phone through the payment provider's refund (if that fails the
+// money stays in the wallet).
+//
+// In the ledger, refunds are paid from platform revenue.
+
+const express = require('express');
+const { creditWallet, toTransactionUpdate } = require('./wallet');
+const { ACCOUNTS } = require('./ledger');
+const { getRide } = require('./ride-lifecycle');
+const { discountedAmount } = require('./promotions');
+
+const REASON_CODES = ['overcharged', 'order_rejected', 'service_issue', 'duplicate_charge', 'goodwill', 'other'];
+const CHANNELS = ['wallet', 'mobile_money'];
+
+// Rider transactions that make up what a ride cost them
+const RIDE_CHARGE_TYPES = ['ride_hold', 'ride_hold_release', 'ride_payment', 'cancellation_fee'];
+
+const sumPaid = (transactions) => -transactions.reduce((sum, transaction) => sum + Number(transaction.amount), 0);
+
+const createRefunds = ({ supabase, io, earnings }) => {
+  // Who paid for the thing being refunded and how much they paid
+  const loadSource = async ({ rideId, orderId, transactionId }) => {
+    if ([rideId, orderId, transactionId].filter(Boolean).length !== 1) {
+      throw new Error('Refer to exactly one of rideId, orderId or transactionId');
+    }
+
+    if (rideId) {
+      // Socket bookings live in ride_requests, REST ones only in rides
+      const { ride } = await getRide(supabase, rideId);
+      if (!ride) throw new Error('Ride not found');
+
+      const { data: charges, error: chargesError } = await supabase
+        .from('transactions')
+        .select('amount')
+        .eq('user_id', ride.rider_id)
+        .eq('ride_id', ride.id)
+        .eq('status', 'completed')
+        .in('type', RIDE_CHARGE_TYPES);
+      if (chargesError) throw chargesError;
+
+      // Cash fares were paid to the driver, outside the wallet
+      const paidInCash =
+        ride.status === 'completed' && String(ride.payment_method || 'Cash').toLowerCase() === 'cash'
+          ? discountedAmount(Number(ride.final_fare ?? ride.cost ?? ride.fare ?? 0), ride.discount)
+          : 0;
+      return { type: 'ride', id: ride.id, userId: ride.rider_id, rideId: ride.id, paid: sumPaid(charges) + paidInCash };
+    }
+
+    if (orderId) {
+      const { data: order, error } = await supabase
+        .from('orders')
+        .select('id, customer_id, total_price, discount')
+        .eq('id', orderId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!order) throw new Error('Order not found');
+      return { type: 'order', id: order.id, userId: order.customer_id, rideId: null, paid: discountedAmount(Number(order.total_price), order.discount) };
+    }
+
+    const { data: transaction, error } = await supabase
+      .from('transactions')
+      .select('id, user_id, amount, status, ride_id')
+      .eq('id', transactionId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!transaction) throw new Error('Transaction not found');
+    if (transaction.status !== 'completed' || transaction.amount >= 0) {
+      throw new Error('Only completed charges can be refunded');
+    }
+    // Refunds are capped per source, so a ride's charges are only refunded
+    // through the ride; otherwise it could be refunded once for each
+    if (transaction.ride_id) {
+      throw new Error(`This charge belongs to ride ${transaction.ride_id}; refund the ride instead`);
+    }
+    return {
+      type: 'transaction',
+      id: transaction.id,
+      userId: transaction.user_id,
+      rideId: null,
+      paid: -transaction.amount,
+    };
+  };
+
+  const markRefund = async (refundId, patch) => {
+    const { data, error } = await supabase
+      .from('refunds')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', refundId)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  };
+
+  // Refund amount (everything not yet refunded if omitted) of a ride, order
+  // or transaction
+  const refund = async ({ rideId, orderId, transactionId, amount, reasonCode, note, channel = 'wallet', phone, createdBy }) => {
+    if (!REASON_CODES.includes(reasonCode)) {
+      throw new Error(`reasonCode must be one of ${REASON_CODES.join(', ')}`);
+    }
+    if (!CHANNELS.includes(channel)) {
+      throw new Error(`channel must be one of ${CHANNELS.join(', ')}`);
+    }
+    if (amount !== undefined && !(typeof amount === 'number' && amount > 0)) {
+      throw new Error('amount must be a positive number');
+    }
+
+    const source = await loadSource({ rideId, orderId, transactionId });
+    if (!(source.paid > 0)) {
+      throw new Error('Nothing was paid that could be refunded');
+    }
+
+    const { data: reserved, error } = await supabase.rpc('reserve_refund', {
+      p_source_type: source.type,
+      p_source_id: source.id,
+      p_user_id: source.userId,
+      p_amount: amount ?? null,
+      p_paid: source.paid,
+      p_reason_code: reasonCode,
+      p_note: note || null,
+      p_channel: channel,
+      p_created_by: createdBy || null,
+    });
+    if (error) throw new Error(error.message);
+
+    let credit;
+    try {
+      credit = await creditWallet(supabase, {
+        userId: source.userId,
+        amount: reserved.amount,
+        type: 'refund',
+        description: `Refund (${reasonCode}) of ${source.type} ${source.id}`,
+        rideId: source.rideId,
+        counterAccount: ACCOUNTS.revenue,
+      });
+    } catch (err) {
+      // Nothing moved, so the reserved amount becomes refundable again
+      await markRefund(reserved.id, { status: 'failed', failure_reason: err.message });
+      throw err;
+    }
+    io.to(source.userId).emit('transaction_update', toTransactionUpdate(credit.transaction));
+
+    let payout = null;
+    if (channel === 'mobile_money') {
+      try {
+        payout = await earnings.startPayout({
+          userId: source.userId,
+          amount: reserved.amount,
+          phone,
+          type: 'refund_payout',
+          description: `Refund of ${source.type} ${source.id} to mobile money`,
+        });
+      } catch (err) {
+        console.error(`Mobile-money refund ${reserved.id} fell back to the wallet:`, err.message);
+      }
+    }
+
+    console.log(`Refunded ${reserved.amount} XAF of ${source.type} ${source.id} to user ${source.userId} (${reasonCode})`);
+    return markRefund(reserved.id, {
+      status: 'completed',
+      payment_ref: credit.transaction.payment_ref,
+      payout_ref: payout?.payment_ref || null,
+    });
+  };
+
+  const listRefunds = async ({ rideId, orderId, transactionId, userId }) => {
+    let query = supabase.from('refunds').select('*').order('created_at', { ascending: false });
+    if (rideId) query = query.eq('source_type', 'ride').eq('source_id', rideId);
+    if (orderId) query = query.eq('source_type', 'order').eq('source_id', orderId);
+    if (transactionId) query = query.eq('source_type', 'transaction').eq('source_id', transactionId);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query.limit(200);
+    if (error) throw error;
+    return data;
+  };
+
+  // Support tooling, mounted behind requireAdmin
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ refunds: await listRefunds(req.query) });
+    } catch (error) {
+      console.error('Error listing refunds:', error.message);
+      res.status(500).json({ error: 'Failed to list refunds' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { rideId, orderId, transactionId, amount, reasonCode, note, channel, phone } = req.body;
+    try {
+      const issued = await refund({ rideId, orderId, transactionId, amount, reasonCode, note, channel, phone, createdBy: req.adminId });
+      res.status(201).json({ refund: issued });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return {
+    router,
+    refund,
+    listRefunds,
+  };
+};
+
+module.exports = { createRefunds };
@@ -0,0 +1,183 @@
+// Single ride lifecycle shared by ride_requests (socket flow) and rides (REST
+// flow). Every status change goes through transitionRide, which rejects
+// illegal jumps, keeps both tables in step and records the change in
+// ride_status_history.
+
+const EventEmitter = require('events');
+
+const TRANSITIONS = {
+  scheduled: ['pending', 'canceled'],
+  pending: ['accepted', 'declined', 'canceled'],
+  // Back to pending when the assigned driver cancels and the ride is re-dispatched
+  accepted: ['confirmed', 'canceled', 'pending'],
+  confirmed: ['arrived', 'canceled', 'pending'],
+  arrived: ['started', 'canceled', 'pending'],
+  started: ['completed'],
+  completed: [],
+  declined: [],
+  canceled: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+const ACTIVE_STATUSES = ['pending', 'accepted', 'confirmed', 'arrived', 'started'];
+// Active statuses in which a driver is assigned to the ride
+const ASSIGNED_STATUSES = ['accepted', 'confirmed', 'arrived', 'started'];
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+// Emits 'transition' with { ride, from, to, actor } after every status change
+// so other modules can react without every handler calling them
+const rideEvents = new EventEmitter();
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const toPoint = (location) => ({ type: 'Point', coordinates: [location.lng, location.lat] });
+
+// ride_requests carry pickup/dropoff objects; rides rows only GeoJSON points
+const fromPoint = (point) => ({ lat: point.coordinates[1], lng: point.coordinates[0] });
+const pickupOf = (ride) => ride.pickup || fromPoint(ride.pickup_location);
+const dropoffOf = (ride) => ride.dropoff || fromPoint(ride.dropoff_location);
+
+// Shape of the rides row that mirrors an accepted ride request
+const toRidesRow = (request) => ({
+  id: request.id,
+  rider_id: request.rider_id,
+  driver_id: request.driver_id,
+  pickup_location: toPoint(request.pickup),
+  dropoff_location: toPoint(request.dropoff),
+  stops: request.stops || [],
+  status: request.status,
+  ridetype: request.ridetype,
+  fare: request.fare,
+  payment_method: request.payment_method,
+  promo_code: request.promo_code,
+  discount: request.discount,
+});
+
+// Look a ride up by id in ride_requests first, then rides
+const getRide = async (supabase, rideId) => {
+  for (const table of ['ride_requests', 'rides']) {
+    const { data, error } = await supabase.from(table).select('*').eq('id', rideId).maybeSingle();
+    if (error) throw error;
+    if (data) return { table, ride: data };
+  }
+  return { table: null, ride: null };
+};
+
+const recordTransition = async (supabase, { rideId, from, to, actor, reason }) => {
+  const { error } = await supabase.from('ride_status_history').insert({
+    ride_id: rideId,
+    from_status: from,
+    to_status: to,
+    actor_id: actor.id,
+    actor_role: actor.role,
+    reason: reason || null,
+    created_at: new Date().toISOString(),
+  });
+  if (error) console.error(`Error recording ride ${rideId} transition ${from} -> ${to}:`, error);
+};
+
+// The ride a driver is currently assigned to, if any
+const getActiveRideForDriver = async (supabase, driverId) => {
+  for (const table of ['ride_requests', 'rides']) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('driver_id', driverId)
+      .in('status', ASSIGNED_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+  }
+  return null;
+};
+
+// When a ride last entered the given status, from its history
+const getTransitionTime = async (supabase, rideId, status) => {
+  const { data, error } = await supabase
+    .from('ride_status_history')
+    .select('created_at')
+    .eq('ride_id', rideId)
+    .eq('to_status', status)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? new Date(data.created_at) : null;
+};
+
+// Keep the rides row in step with a ride request. Acceptance creates it (the
+// old /api/rides/confirm copy); later transitions update it if present.
+const mirrorToRides = async (supabase, request, ridesPatch) => {
+  const query =
+    request.status === 'accepted'
+      ? supabase.from('rides').upsert({ ...toRidesRow(request), ...ridesPatch }, { onConflict: 'id' })
+      : supabase.from('rides').update({ status: request.status, ...ridesPatch }).eq('id', request.id);
+
+  const { error } = await query;
+  if (error) console.error(`Error mirroring ride ${request.id} to rides:`, error);
+};
+
+// Move a ride to a new status.
+// options.actor: { id, role } of whoever caused the change
+// options.patch: extra columns both tables have, written to the ride's own table
+// options.requestsPatch: extra columns only ride_requests has (final_fare, ...)
+// options.ridesPatch: extra columns only the rides row has (cost, distance_km)
+// options.reason: free text stored in the history
+const transitionRide = async (supabase, rideId, to, options = {}) => {
+  const { actor = SYSTEM_ACTOR, patch = {}, requestsPatch = {}, ridesPatch = {}, reason } = options;
+
+  if (!STATUSES.includes(to)) {
+    throw new Error(`Unknown ride status: ${to}`);
+  }
+
+  const { table, ride } = await getRide(supabase, rideId);
+  if (!ride) {
+    throw new Error(`Ride ${rideId} not found`);
+  }
+
+  const from = ride.status;
+  if (!canTransition(from, to)) {
+    throw new Error(`Illegal ride transition: ${from} -> ${to}`);
+  }
+
+  const columns = table === 'rides' ? { ...patch, ...ridesPatch } : { ...patch, ...requestsPatch };
+
+  // Compare-and-set on the previous status so concurrent updates can't both win
+  const { data: updatedRide, error } = await supabase
+    .from(table)
+    .update({ ...columns, status: to })
+    .eq('id', rideId)
+    .eq('status', from)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!updatedRide) {
+    throw new Error(`Ride ${rideId} changed status concurrently`);
+  }
+
+  if (table === 'ride_requests') {
+    await mirrorToRides(supabase, updatedRide, ridesPatch);
+  }
+  await recordTransition(supabase, { rideId, from, to, actor, reason });
+
+  console.log(`Ride ${rideId} (${table}) ${from} -> ${to} by ${actor.role} ${actor.id || ''}`.trim());
+  rideEvents.emit('transition', { ride: updatedRide, from, to, actor });
+  return updatedRide;
+};
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  ASSIGNED_STATUSES,
+  SYSTEM_ACTOR,
+  rideEvents,
+  canTransition,
+  pickupOf,
+  dropoffOf,
+  getRide,
+  getActiveRideForDriver,
+  getTransitionTime,
+  transitionRide,
+};
@@ -0,0 +1,170 @@
+// Wallet payments for rides, as hold and capture. When a rider pays from the
+// wallet, an estimate of the fare is held (taken out of the balance as a
+// pending transaction) when the ride is requested, so riders who can't pay
+// never reach dispatch. At completion the hold is captured for the final fare
+// and the difference released; a ride that ends without a trip releases the
+// hold in full. Cancellation fees are charged separately (cancellation.js).
+//
+// Promo discounts locked in at booking come off both the hold and the
+// capture; promotions.js funds them for the driver.
+//
+// In the ledger, held funds sit in platform ride holds; the captured fare
+// moves on to driver payables. Once it has, rideEvents emits 'captured' with
+// { ride, amount } so the driver's earning can be paid from it. amount is 0
+// when a promo covered the whole fare; the discount is in driver payables
+// already, so the driver is still paid.
+
+const { rideEvents } = require('./ride-lifecycle');
+const { getWallet, debitWallet, creditWallet, toTransactionUpdate } = require('./wallet');
+const { ACCOUNTS, postJournal } = require('./ledger');
+const { discountedAmount } = require('./promotions');
+
+// Extra held on top of the quote, covering longer-than-planned trips
+const HOLD_BUFFER = Number(process.env.RIDE_HOLD_BUFFER) || 0.1;
+
+// Rides are paid in cash to the driver or from the rider's wallet
+const PAYMENT_METHODS = ['cash', 'wallet'];
+
+const isSupportedPaymentMethod = (paymentMethod) => PAYMENT_METHODS.includes(String(paymentMethod || '').toLowerCase());
+
+const isWalletPayment = (paymentMethod) => String(paymentMethod || '').toLowerCase() === 'wallet';
+
+const holdAmountFor = (fare) => Math.ceil(fare * (1 + HOLD_BUFFER));
+
+const createRidePayments = ({ supabase, io }) => {
+  const announce = (transaction) => io.to(transaction.user_id).emit('transaction_update', toTransactionUpdate(transaction));
+
+  // { sufficient, required, balance } for a wallet ride quoted at fare
+  const checkFunds = async (riderId, fare) => {
+    const { balance } = await getWallet(supabase, riderId);
+    const required = holdAmountFor(fare);
+    return { sufficient: parseFloat(balance || 0) >= required, required, balance };
+  };
+
+  const holdRideFare = async ({ riderId, rideId, fare }) => {
+    const amount = holdAmountFor(fare);
+    const { transaction } = await debitWallet(supabase, {
+      userId: riderId,
+      amount,
+      type: 'ride_hold',
+      description: `Hold of ${amount} XAF for a ride`,
+      rideId,
+      status: 'pending',
+      counterAccount: ACCOUNTS.rideHolds,
+    });
+    announce(transaction);
+    return transaction;
+  };
+
+  // Close the ride's open hold: capture finalFare of it (0 releases it all)
+  // and return the difference to the wallet. Rides the rider still owes more
+  // on, e.g. after added stops, are charged the extra even into debt.
+  // Returns what reached driver payables, or null without an open hold.
+  const settleHold = async (ride, finalFare) => {
+    const { data: hold, error } = await supabase
+      .from('transactions')
+      .update({
+        status: 'completed',
+        description: finalFare > 0 ? `Ride fare of ${finalFare} XAF captured` : 'Ride hold released',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('ride_id', ride.id)
+      .eq('type', 'ride_hold')
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!hold) return null; // not a wallet ride, or already settled
+    announce(hold);
+
+    const held = -hold.amount;
+    const captured = Math.min(held, finalFare);
+    if (captured > 0) {
+      await postJournal(supabase, {
+        kind: 'ride_capture',
+        description: `Ride fare of ${finalFare} XAF captured`,
+        rideId: ride.id,
+        idempotencyKey: `capture:${hold.payment_ref}`,
+        entries: [
+          { account: ACCOUNTS.rideHolds, amount: -captured },
+          { account: ACCOUNTS.driverPayables, amount: captured },
+        ],
+      });
+    }
+
+    const difference = held - finalFare;
+    if (difference > 0) {
+      const { transaction } = await creditWallet(supabase, {
+        userId: hold.user_id,
+        amount: difference,
+        type: 'ride_hold_release',
+        description: finalFare > 0 ? 'Unused part of the ride hold released' : 'Ride hold released in full',
+        rideId: ride.id,
+        counterAccount: ACCOUNTS.rideHolds,
+      });
+      announce(transaction);
+    } else if (difference < 0) {
+      const { transaction } = await debitWallet(supabase, {
+        userId: hold.user_id,
+        amount: -difference,
+        type: 'ride_payment',
+        description: 'Ride fare above the amount held',
+        rideId: ride.id,
+        allowNegative: true,
+        counterAccount: ACCOUNTS.driverPayables,
+      });
+      announce(transaction);
+    }
+    return finalFare;
+  };
+
+  // Swap the open hold of a ride that hasn't started for one covering fare,
+  // e.g. after a scheduled ride was re-priced. What the old hold frees up
+  // counts towards the new one. Returns { sufficient, required, balance }.
+  const resizeHold = async (ride, fare) => {
+    const { data: hold, error } = await supabase
+      .from('transactions')
+      .select('amount')
+      .eq('ride_id', ride.id)
+      .eq('type', 'ride_hold')
+      .eq('status', 'pending')
+      .maybeSingle();
+    if (error) throw error;
+
+    const funds = await checkFunds(ride.rider_id, fare);
+    const available = parseFloat(funds.balance || 0) - (hold ? Number(hold.amount) : 0);
+    if (available < funds.required) {
+      return { sufficient: false, required: funds.required, balance: available };
+    }
+
+    await settleHold(ride, 0);
+    await holdRideFare({ riderId: ride.rider_id, rideId: ride.id, fare });
+    return { sufficient: true, required: funds.required, balance: available };
+  };
+
+  rideEvents.on('transition', ({ ride, to }) => {
+    let settlement = null;
+    if (to === 'completed') {
+      settlement = settleHold(ride, discountedAmount(Number(ride.final_fare ?? ride.fare ?? ride.cost ?? 0), ride.discount)).then(
+        (amount) => amount !== null && rideEvents.emit('captured', { ride, amount })
+      );
+    } else if (['canceled', 'declined'].includes(to)) {
+      settlement = settleHold(ride, 0);
+    }
+    settlement?.catch((err) => console.error(`Error settling payment hold for ride ${ride.id}:`, err.message));
+  });
+
+  return {
+    checkFunds,
+    holdRideFare,
+    settleHold,
+    resizeHold,
+  };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  isSupportedPaymentMethod,
+  isWalletPayment,
+  createRidePayments,
+};
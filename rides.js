@@ -2,42 +2,160 @@ const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
+const { quoteFare } = require('./fares');
+const { routeTrip } = require('./routing');
+const { PAYMENT_METHODS, isSupportedPaymentMethod, isWalletPayment } = require('./ride-payments');
+const { getRide, transitionRide } = require('./ride-lifecycle');
+const { rateRide } = require('./ratings');
+const { getTrail, toGeoJson, toPolyline } = require('./trail');
+const { discountedAmount } = require('./promotions');
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
+// Mounted behind requireUser: riders and drivers always act as the signed-in
+// user, never as an id from the request
+
+// Quote fares for a pickup/dropoff pair and optional stops
+// (all ride types unless rideType is given). A promoCode is checked against
+// the quoted fare of a single ride type.
+router.post('/quote', async (req, res) => {
+  const riderId = req.userId;
+  const { pickupLat, pickupLng, dropoffLat, dropoffLng, stops = [], rideType, promoCode } = req.body;
+  try {
+    const pickup = { lat: pickupLat, lng: pickupLng };
+    const dropoff = { lat: dropoffLat, lng: dropoffLng };
+    const serviceAreas = req.app.get('serviceAreas');
+    const coverageError = serviceAreas.checkTrip({ pickup, dropoff, stops });
+    if (coverageError) {
+      return res.status(422).json({ error: coverageError.message, ...coverageError });
+    }
+
+    const route = await routeTrip(pickup, dropoff, stops);
+    const quote = quoteFare({
+      pickup,
+      dropoff,
+      stops,
+      rideType,
+      surgeMultiplier: req.app.get('surge').getMultiplier(pickup),
+      route,
+      fixedFare: serviceAreas.fixedFareFor({ pickup, dropoff }),
+    });
+    const promo =
+      promoCode && quote.fare
+        ? await req.app
+            .get('promotions')
+            .quotePromo({ code: promoCode, userId: riderId, target: { kind: 'ride' }, amount: quote.fare })
+        : null;
+    res.json({ quote, promo, polyline: route.polyline });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Request a Ride
 router.post('/request', async (req, res) => {
-  const { riderId, pickupLat, pickupLng, dropoffLat, dropoffLng } = req.body;
+  // stops: optional ordered [{ lat, lng, address }] between pickup and dropoff
+  // paymentMethod: 'Cash' (default) or 'Wallet'
+  // promoCode: optional, its discount is locked in at booking
+  const riderId = req.userId;
+  const {
+    pickupLat,
+    pickupLng,
+    dropoffLat,
+    dropoffLng,
+    stops = [],
+    rideType = 'economy',
+    paymentMethod = 'Cash',
+    promoCode = null,
+  } = req.body;
+  if (!isSupportedPaymentMethod(paymentMethod)) {
+    return res.status(400).json({ error: `paymentMethod must be one of ${PAYMENT_METHODS.join(', ')}` });
+  }
   try {
+    const pickup = { lat: pickupLat, lng: pickupLng };
+    const dropoff = { lat: dropoffLat, lng: dropoffLng };
+    const serviceAreas = req.app.get('serviceAreas');
+    const coverageError = serviceAreas.checkTrip({ pickup, dropoff, stops });
+    if (coverageError) {
+      return res.status(422).json({ error: coverageError.message, ...coverageError });
+    }
+
+    const route = await routeTrip(pickup, dropoff, stops);
+    const { fare } = quoteFare({
+      pickup,
+      dropoff,
+      stops,
+      rideType,
+      surgeMultiplier: req.app.get('surge').getMultiplier(pickup),
+      route,
+      fixedFare: serviceAreas.fixedFareFor({ pickup, dropoff }),
+    });
+
+    const rideId = uuidv4();
+    const promotions = req.app.get('promotions');
+    let promo = { code: null, discount: 0 };
+    if (promoCode) {
+      try {
+        promo = await promotions.redeem({ code: promoCode, userId: riderId, target: { kind: 'ride' }, amount: fare, rideId });
+      } catch (promoError) {
+        return res.status(422).json({ error: promoError.message, code: 'invalid_promo_code' });
+      }
+    }
+    const riderFare = discountedAmount(fare, promo.discount);
+
+    // Wallet rides need the fare held before they are dispatched
+    const ridePayments = req.app.get('ridePayments');
+    const walletPayment = isWalletPayment(paymentMethod);
+    if (walletPayment) {
+      const funds = await ridePayments.checkFunds(riderId, riderFare);
+      if (!funds.sufficient) {
+        if (promo.code) await promotions.release({ rideId });
+        return res.status(402).json({ error: 'Insufficient wallet balance', fare: riderFare, ...funds });
+      }
+    }
+
     const { data: ride, error } = await supabase
       .from('rides')
       .insert([{
+        id: rideId,
         rider_id: riderId,
         pickup_location: { type: 'Point', coordinates: [pickupLng, pickupLat] },
         dropoff_location: { type: 'Point', coordinates: [dropoffLng, dropoffLat] },
+        stops: stops.map(({ address = null, lat, lng }) => ({ address, lat, lng, reached_at: null })),
+        status: 'pending',
+        ridetype: rideType,
+        fare,
+        payment_method: paymentMethod,
+        promo_code: promo.code,
+        discount: promo.discount,
       }])
       .select()
       .single();
-    if (error) throw error;
+    if (error) {
+      if (promo.code) await promotions.release({ rideId });
+      throw error;
+    }
 
-    // Find nearby drivers (~5km)
-    const { data: drivers, error: driverError } = await supabase
-      .rpc('nearby_drivers', {
-        lat: pickupLat,
-        lng: pickupLng,
-        max_distance: 5000, // meters
-      });
-    if (driverError) throw driverError;
+    if (walletPayment) {
+      try {
+        await ridePayments.holdRideFare({ riderId, rideId: ride.id, fare: riderFare });
+      } catch (holdError) {
+        await transitionRide(supabase, ride.id, 'canceled', { reason: 'Wallet hold failed' });
+        throw holdError;
+      }
+    }
 
-    // Notify drivers via Socket.IO
-    drivers.forEach((driver) =>
-      io.to(driver.id).emit('rideRequest', {
-        rideId: ride.id,
-        pickupLocation: { lat: pickupLat, lng: pickupLng },
-      })
-    );
+    // Offer the ride to nearby drivers one at a time
+    await req.app.get('dispatcher').dispatch({
+      id: ride.id,
+      rider_id: riderId,
+      pickup,
+      dropoff,
+      fare,
+      ridetype: rideType,
+    });
 
-    res.status(201).json({ message: 'Ride requested', rideId: ride.id });
+    res.status(201).json({ message: 'Ride requested', rideId: ride.id, fare, discount: promo.discount });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -45,71 +163,58 @@ router.post('/request', async (req, res) => {
 
 // Accept a Ride (Driver)
 router.post('/accept', async (req, res) => {
-  const { rideId, driverId } = req.body;
+  const { rideId } = req.body;
+  const driverId = req.userId;
   try {
-    const { data: ride, error } = await supabase
-      .from('rides')
-      .update({ driver_id: driverId, status: 'accepted' })
-      .eq('id', rideId)
-      .eq('status', 'requested')
-      .select()
-      .single();
-    if (error || !ride) throw error || new Error('Invalid ride');
+    if (req.userRole !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can accept rides' });
+    }
+    const dispatcher = req.app.get('dispatcher');
+    if (!dispatcher.isOfferedTo(rideId, driverId)) {
+      throw new Error('Ride offer expired or not offered to this driver');
+    }
 
-    io.to(ride.rider_id).emit('rideAccepted', { rideId, driverId });
+    const ride = await transitionRide(supabase, rideId, 'accepted', {
+      actor: { id: driverId, role: 'driver' },
+      patch: { driver_id: driverId },
+    });
+    dispatcher.accept(rideId, driverId);
+
+    req.app.get('io').to(ride.rider_id).emit('rideAccepted', { rideId, driverId });
     res.json({ message: 'Ride accepted' });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Confirm a Ride Request (Transition ride_requests to rides)
+// Confirm a Ride Request (Driver). Only the driver currently offered the ride
+// can confirm it; accepting it through the lifecycle also creates the
+// matching rides row.
 router.post('/confirm', async (req, res) => {
-  const { requestId, driverId } = req.body;
+  const { requestId } = req.body;
+  const driverId = req.userId;
   try {
-    if (!requestId || !driverId) {
-      throw new Error('Missing requestId or driverId');
+    if (req.userRole !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can confirm rides' });
     }
-
-    // Fetch the ride request
-    const { data: request, error: requestError } = await supabase
-      .from('ride_requests')
-      .select('*')
-      .eq('id', requestId)
-      .eq('status', 'pending')
-      .single();
-    if (requestError || !request) {
-      throw requestError || new Error('Invalid or non-pending ride request');
+    if (!requestId) {
+      throw new Error('Missing requestId');
+    }
+    const dispatcher = req.app.get('dispatcher');
+    if (!dispatcher.isOfferedTo(requestId, driverId)) {
+      throw new Error('Ride offer expired or not offered to this driver');
     }
 
-    // Update ride_requests to accepted
-    const { error: updateError } = await supabase
-      .from('ride_requests')
-      .update({ status: 'accepted', driver_id: driverId })
-      .eq('id', requestId);
-    if (updateError) throw updateError;
-
-    // Create a new rides entry
-    const ride = {
-      id: uuidv4(),
-      rider_id: request.rider_id,
-      driver_id: driverId,
-      pickup_location: {
-        type: 'Point',
-        coordinates: [request.pickup.lng, request.pickup.lat]
-      },
-      dropoff_location: {
-        type: 'Point',
-        coordinates: [request.dropoff.lng, request.dropoff.lat]
-      },
-      status: 'accepted',
-      fare: request.fare,
-    };
+    await transitionRide(supabase, requestId, 'accepted', {
+      actor: { id: driverId, role: 'driver' },
+      patch: { driver_id: driverId },
+    });
+    dispatcher.accept(requestId, driverId);
 
     const { data: newRide, error: rideError } = await supabase
       .from('rides')
-      .insert([ride])
       .select()
+      .eq('id', requestId)
       .single();
     if (rideError) throw rideError;
 
@@ -120,6 +225,59 @@ router.post('/confirm', async (req, res) => {
   }
 });
 
+// Rate the other party of a completed ride (rider -> driver or driver -> rider)
+router.post('/:rideId/rating', async (req, res) => {
+  const { score, comment, tags } = req.body;
+  try {
+    const { rating, rateeRating } = await rateRide(supabase, {
+      rideId: req.params.rideId,
+      raterId: req.userId,
+      score,
+      comment,
+      tags,
+    });
+    res.status(201).json({ message: 'Ride rated', rating, rateeRating });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create a live trip-sharing link for the rider's trusted contacts
+router.post('/:rideId/share', async (req, res) => {
+  try {
+    const share = await req.app
+      .get('tripSharing')
+      .createShareLink({ rideId: req.params.rideId, userId: req.userId });
+    res.status(201).json(share);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Route actually driven, as GeoJSON (default) or an encoded polyline
+router.get('/:rideId/route', async (req, res) => {
+  const { format = 'geojson' } = req.query;
+  if (!['geojson', 'polyline'].includes(format)) {
+    return res.status(400).json({ error: 'format must be geojson or polyline' });
+  }
+
+  try {
+    const { ride } = await getRide(supabase, req.params.rideId);
+    if (!ride || ![ride.rider_id, ride.driver_id].includes(req.userId)) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    const points = await getTrail(supabase, ride.id);
+    if (format === 'polyline') {
+      return res.json({ rideId: ride.id, polyline: toPolyline(points), pointCount: points.length });
+    }
+    res.json(toGeoJson(points));
+  } catch (error) {
+    console.error('Error fetching ride route:', error.message);
+    res.status(500).json({ error: 'Failed to fetch ride route' });
+  }
+});
+
 // Get Nearby Vehicles
 router.get('/nearby', async (req, res) => {
   const { lat, lng } = req.query;
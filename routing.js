@@ -0,0 +1,94 @@
+// Road routing behind a small interface so the backing service can change
+// without touching callers. A router is an object with
+//
+//   route(waypoints) -> Promise<{ distanceMeters, durationSeconds, polyline, source }>
+//
+// where waypoints is an ordered array of { lat, lng } and polyline is an
+// encoded polyline (precision 5). OSRM_URL points at an OSRM-compatible HTTP
+// server (e.g. a locally hosted osrm-backend); without it, or whenever it
+// fails, routes fall back to the straight-line estimate used for fares.
+
+const { estimateTrip, validateStops } = require('./fares');
+const { encodePolyline, isValidCoordinate } = require('./geo');
+
+const OSRM_URL = process.env.OSRM_URL;
+const OSRM_PROFILE = process.env.OSRM_PROFILE || 'driving';
+const OSRM_TIMEOUT_MS = Number(process.env.OSRM_TIMEOUT_MS) || 3000;
+
+const createHaversineRouter = () => ({
+  route: async (waypoints) => {
+    const { distanceMeters, durationSeconds } = estimateTrip(
+      waypoints[0],
+      waypoints[waypoints.length - 1],
+      waypoints.slice(1, -1)
+    );
+    return { distanceMeters, durationSeconds, polyline: encodePolyline(waypoints), source: 'haversine' };
+  },
+});
+
+// Speaks the OSRM route service: GET /route/v1/{profile}/{lng,lat;lng,lat...}
+const createOsrmRouter = ({ baseUrl, profile = OSRM_PROFILE, timeoutMs = OSRM_TIMEOUT_MS }) => ({
+  route: async (waypoints) => {
+    const coordinates = waypoints.map(({ lat, lng }) => `${lng},${lat}`).join(';');
+    const url = `${baseUrl.replace(/\/$/, '')}/route/v1/${profile}/${coordinates}?overview=full&geometries=polyline`;
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`OSRM error: ${response.status} ${await response.text()}`);
+    }
+    const body = await response.json();
+    if (body.code !== 'Ok' || !body.routes?.length) {
+      throw new Error(`OSRM error: ${body.code} ${body.message || ''}`.trim());
+    }
+
+    const [best] = body.routes;
+    return {
+      distanceMeters: Math.round(best.distance),
+      durationSeconds: Math.round(best.duration),
+      polyline: best.geometry,
+      source: 'osrm',
+    };
+  },
+});
+
+// Try each router in turn, so a router outage degrades to estimates instead
+// of failing ride requests
+const withFallback = (primary, fallback) => ({
+  route: async (waypoints) => {
+    try {
+      return await primary.route(waypoints);
+    } catch (err) {
+      console.error('Routing failed, falling back to straight-line estimate:', err.message);
+      return fallback.route(waypoints);
+    }
+  },
+});
+
+const haversineRouter = createHaversineRouter();
+const router = OSRM_URL ? withFallback(createOsrmRouter({ baseUrl: OSRM_URL }), haversineRouter) : haversineRouter;
+
+const route = (waypoints) => {
+  if (!waypoints.every(isValidCoordinate)) {
+    return Promise.reject(new Error('Invalid route: lat/lng must be numbers'));
+  }
+  return router.route(waypoints);
+};
+
+// Distance, duration and polyline from pickup to dropoff through any stops
+const routeTrip = async (pickup, dropoff, stops = []) => {
+  validateStops(stops);
+  return route([pickup, ...stops, dropoff]);
+};
+
+// Driving time in seconds between two points, e.g. a driver and their pickup
+const getEta = async (from, to) => {
+  const { durationSeconds, distanceMeters, polyline } = await route([from, to]);
+  return { etaSeconds: durationSeconds, distanceMeters, polyline };
+};
+
+module.exports = {
+  createHaversineRouter,
+  createOsrmRouter,
+  routeTrip,
+  getEta,
+};
@@ -0,0 +1,160 @@
+// Local payment provider for development: no real money, no outside API.
+// Deposits and payouts are kept in memory and resolved by the payer's phone
+// number, then reported to our own webhooks like a real provider would:
+//
+//   ends in 8   the payment fails
+//   ends in 9   the callback arrives late (SANDBOX_SLOW_CALLBACK_SECONDS)
+//   ends in 7   the callback is lost; only status checks see the result
+//   otherwise   the payment succeeds after SANDBOX_CALLBACK_SECONDS
+//
+// Callbacks are signed with SANDBOX_SECRET (HMAC-SHA256).
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const SECRET = process.env.SANDBOX_SECRET || 'sandbox-secret';
+const CALLBACK_URL =
+  process.env.SANDBOX_CALLBACK_URL || `http://localhost:${process.env.PORT || 5000}/api/webhook/sandbox`;
+const CALLBACK_DELAY_MS = (Number(process.env.SANDBOX_CALLBACK_SECONDS) || 2) * 1000;
+const SLOW_CALLBACK_DELAY_MS = (Number(process.env.SANDBOX_SLOW_CALLBACK_SECONDS) || 60) * 1000;
+
+const STATUSES = { SUCCESS: 'completed', FAILED: 'failed', PENDING: 'pending' };
+
+// Outcome and callback timing simulated for a phone number
+const scenarioFor = (phone) => {
+  switch (String(phone || '').slice(-1)) {
+    case '8':
+      return { status: 'FAILED', delayMs: CALLBACK_DELAY_MS, callback: true };
+    case '9':
+      return { status: 'SUCCESS', delayMs: SLOW_CALLBACK_DELAY_MS, callback: true };
+    case '7':
+      return { status: 'SUCCESS', delayMs: CALLBACK_DELAY_MS, callback: false };
+    default:
+      return { status: 'SUCCESS', delayMs: CALLBACK_DELAY_MS, callback: true };
+  }
+};
+
+const sign = ({ payment_ref, transaction_id, status, amount }) =>
+  crypto.createHmac('sha256', SECRET).update(`${payment_ref}|${transaction_id}|${status}|${amount}`).digest('hex');
+
+const createSandboxProvider = () => {
+  // payment ref or payout reference -> { status, settlesAt, ... }
+  const payments = new Map();
+  const payouts = new Map();
+
+  // Simulated status: PENDING until the scenario's delay has passed
+  const currentStatus = (entry) => (Date.now() >= entry.settlesAt ? entry.finalStatus : 'PENDING');
+
+  const notify = async (path, payload) => {
+    try {
+      const response = await fetch(`${CALLBACK_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(5000),
+      });
+      console.log(`Sandbox callback ${path || '/'} for ${payload.payment_ref || payload.reference}: ${response.status}`);
+    } catch (err) {
+      console.error('Sandbox callback failed:', err.message);
+    }
+  };
+
+  const toUpdate = (paymentRef, entry, status = currentStatus(entry)) => ({
+    paymentRef,
+    providerTransactionId: entry.transactionId,
+    rawStatus: status,
+    status: STATUSES[status],
+    amount: entry.amount,
+    fee: 0,
+    operator: 'SANDBOX',
+    message: `Sandbox payment ${status.toLowerCase()}`,
+  });
+
+  const startPayout = async ({ reference, phone, amount }) => {
+    const scenario = scenarioFor(phone);
+    const entry = { amount, finalStatus: scenario.status, settlesAt: Date.now() + scenario.delayMs };
+    payouts.set(reference, entry);
+    if (scenario.callback) {
+      setTimeout(() => notify('/payout', { reference, status: scenario.status }), scenario.delayMs);
+    }
+  };
+
+  return {
+    name: 'sandbox',
+    displayName: 'Sandbox',
+
+    initiate: async ({ paymentRef, amount, phone }) => {
+      const scenario = scenarioFor(phone);
+      const entry = {
+        transactionId: uuidv4(),
+        amount,
+        finalStatus: scenario.status,
+        settlesAt: Date.now() + scenario.delayMs,
+      };
+      payments.set(paymentRef, entry);
+
+      if (scenario.callback) {
+        setTimeout(() => {
+          const payload = {
+            payment_ref: paymentRef,
+            transaction_id: entry.transactionId,
+            status: scenario.status,
+            amount,
+            fee: 0,
+            operator: 'SANDBOX',
+            message: `Sandbox payment ${scenario.status.toLowerCase()}`,
+          };
+          notify('', { ...payload, signature: sign(payload) });
+        }, scenario.delayMs);
+      }
+      return { paymentUrl: `sandbox://payments/${paymentRef}` };
+    },
+
+    parseCallback: (payload) =>
+      payload.payment_ref && payload.status
+        ? {
+            paymentRef: payload.payment_ref,
+            providerTransactionId: payload.transaction_id || null,
+            rawStatus: payload.status,
+            status: STATUSES[String(payload.status).toUpperCase()] || 'failed',
+            amount: Number(payload.amount),
+            fee: Number(payload.fee || 0),
+            operator: payload.operator || 'SANDBOX',
+            message: payload.message || null,
+          }
+        : null,
+
+    verifyCallback: (payload) => {
+      const expected = sign(payload);
+      const received = String(payload.signature || '');
+      return received.length === expected.length && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+    },
+
+    checkStatus: async ({ paymentRef }) => {
+      const entry = payments.get(paymentRef);
+      if (!entry) {
+        // Forgotten on restart; the sandbox can't tell what happened
+        throw new Error(`Sandbox has no payment ${paymentRef}`);
+      }
+      return toUpdate(paymentRef, entry);
+    },
+
+    payout: startPayout,
+
+    parsePayoutNotification: (payload) =>
+      payload.reference ? { reference: payload.reference, rawStatus: payload.status || null } : null,
+
+    checkPayout: async (reference) => {
+      const entry = payouts.get(reference);
+      if (!entry) {
+        throw new Error(`Sandbox has no payout ${reference}`);
+      }
+      const rawStatus = currentStatus(entry);
+      return { rawStatus, status: STATUSES[rawStatus] };
+    },
+
+    refund: startPayout,
+  };
+};
+
+module.exports = { createSandboxProvider };
@@ -0,0 +1,103 @@
+// Scheduled rides: future-dated requests wait in the 'scheduled' state and are
+// released to dispatch shortly before pickup. The queue lives in memory but is
+// rebuilt from ride_requests on start, so a restart loses nothing.
+
+const { transitionRide } = require('./ride-lifecycle');
+
+const RELEASE_LEAD_MS = (Number(process.env.SCHEDULED_RELEASE_LEAD_MINUTES) || 15) * 60 * 1000;
+const REMINDER_LEAD_MS = (Number(process.env.SCHEDULED_REMINDER_LEAD_MINUTES) || 60) * 60 * 1000;
+const TICK_INTERVAL_MS = 30 * 1000;
+
+// A booking date far enough ahead to hold the ride instead of dispatching now
+const isScheduledBooking = (bookingDate, now = Date.now()) =>
+  !!bookingDate && new Date(bookingDate).getTime() - RELEASE_LEAD_MS > now;
+
+const createScheduler = ({ supabase, io, dispatcher }) => {
+  // rideId -> scheduled ride_requests row
+  const queue = new Map();
+  let interval = null;
+
+  // The ride stays queued until it has left 'scheduled', so a failed release
+  // is retried on the next tick
+  const release = async (ride) => {
+    const releasedRide = await transitionRide(supabase, ride.id, 'pending', {
+      patch: { released_at: new Date().toISOString() },
+      reason: 'Scheduled ride released to dispatch',
+    });
+    queue.delete(ride.id);
+
+    io.to(ride.rider_id).emit('scheduledRideReleased', { rideId: ride.id, bookingDate: ride.booking_date });
+    await dispatcher.dispatch(releasedRide);
+  };
+
+  const remind = async (ride) => {
+    const reminderSentAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('ride_requests')
+      .update({ reminder_sent_at: reminderSentAt })
+      .eq('id', ride.id)
+      .eq('status', 'scheduled');
+    if (error) throw error;
+
+    ride.reminder_sent_at = reminderSentAt;
+    io.to(ride.rider_id).emit('scheduledRideReminder', {
+      rideId: ride.id,
+      bookingDate: ride.booking_date,
+      pickup: ride.pickup,
+      dropoff: ride.dropoff,
+    });
+  };
+
+  const tick = async () => {
+    const now = Date.now();
+    for (const ride of [...queue.values()]) {
+      const pickupAt = new Date(ride.booking_date).getTime();
+      try {
+        if (now >= pickupAt - RELEASE_LEAD_MS) {
+          await release(ride);
+        } else if (!ride.reminder_sent_at && now >= pickupAt - REMINDER_LEAD_MS) {
+          await remind(ride);
+        }
+      } catch (err) {
+        console.error(`Error processing scheduled ride ${ride.id}:`, err.message);
+      }
+    }
+  };
+
+  // Rebuild the queue from the database and start checking it
+  const start = async () => {
+    const { data: rides, error } = await supabase
+      .from('ride_requests')
+      .select('*')
+      .eq('status', 'scheduled');
+    if (error) throw error;
+
+    rides.forEach((ride) => queue.set(ride.id, ride));
+    console.log(`Loaded ${rides.length} scheduled rides`);
+
+    clearInterval(interval);
+    interval = setInterval(() => {
+      tick().catch((err) => console.error('Error in scheduler tick:', err.message));
+    }, TICK_INTERVAL_MS);
+    await tick();
+  };
+
+  const stop = () => clearInterval(interval);
+
+  // Add or replace a scheduled ride (after creation or an edit)
+  const schedule = (ride) => queue.set(ride.id, ride);
+
+  const unschedule = (rideId) => queue.delete(rideId);
+
+  return {
+    start,
+    stop,
+    schedule,
+    unschedule,
+  };
+};
+
+module.exports = {
+  isScheduledBooking,
+  createScheduler,
+};
@@ -0,0 +1,26 @@
+-- Cancellation fees and driver reliability
+
+-- Wallet movements other than deposits are recorded in transactions too
+alter table transactions add column if not exists type text default 'deposit';
+alter table transactions add column if not exists ride_id uuid;
+
+create index if not exists transactions_ride_id_idx on transactions(ride_id);
+
+-- Every time an assigned driver backs out of a ride
+create table if not exists driver_cancellations (
+    id uuid default uuid_generate_v4() primary key,
+    driver_id uuid references auth.users(id) not null,
+    ride_id uuid not null,
+    ride_status text not null,
+    reason text,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create index on driver_id for reliability calculations
+create index if not exists driver_cancellations_driver_id_idx on driver_cancellations(driver_id, created_at);
+
+-- Share of accepted rides (last 30 days) the driver did not cancel
+alter table drivers add column if not exists reliability_score real default 1.0;
+
+-- Add comment to table
+comment on table driver_cancellations is 'Rides drivers cancelled after accepting, used for reliability scores';
@@ -0,0 +1,29 @@
+-- Driver earnings and payouts
+
+create table if not exists driver_earnings (
+    id uuid default uuid_generate_v4() primary key,
+    driver_id uuid references auth.users(id) not null,
+    ride_id uuid not null unique,
+    gross_fare real not null,
+    commission_rate real not null,
+    commission real not null,
+    net_earning real not null,
+    settlement text not null check (settlement in ('cash', 'digital')),
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create index for daily and weekly summaries
+create index if not exists driver_earnings_driver_id_idx on driver_earnings(driver_id, created_at);
+
+-- Payouts are looked up by type per driver
+create index if not exists transactions_user_type_idx on transactions(user_id, type);
+
+-- Wallet movements with a deterministic reference (earning:<ride_id>,
+-- referral:<id>:referrer) are recorded once however often they are retried
+create unique index if not exists transactions_payment_ref_key on transactions(payment_ref);
+
+-- Earnings are only written by the backend
+alter table driver_earnings enable row level security;
+
+-- Add comment to table
+comment on table driver_earnings is 'One row per completed ride: fare, platform commission and how it was settled';
@@ -0,0 +1,156 @@
+-- Double-entry ledger behind wallet balances
+
+create table if not exists ledger_accounts (
+    id text primary key, -- e.g. wallet:<user id>, platform:revenue, provider:monetbil
+    balance numeric not null default 0,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    updated_at timestamp with time zone
+);
+
+create table if not exists ledger_journals (
+    id uuid default uuid_generate_v4() primary key,
+    kind text not null,
+    description text,
+    ride_id uuid,
+    idempotency_key text unique,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create table if not exists ledger_entries (
+    id bigint generated always as identity primary key,
+    journal_id uuid references ledger_journals(id) not null,
+    account_id text references ledger_accounts(id) not null,
+    amount numeric not null,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create indexes for account statements and per-journal checks
+create index if not exists ledger_entries_account_id_idx on ledger_entries(account_id, created_at);
+create index if not exists ledger_entries_journal_id_idx on ledger_entries(journal_id);
+
+-- The ledger is only ever written through post_journal
+alter table ledger_accounts enable row level security;
+alter table ledger_journals enable row level security;
+alter table ledger_entries enable row level security;
+
+-- Post a balanced journal and apply it to account and wallet balances in one
+-- transaction. p_entries is [{ "account": text, "amount": number }]. A repeated
+-- idempotency key returns the journal already posted under it.
+create or replace function post_journal(
+    p_kind text,
+    p_description text,
+    p_entries jsonb,
+    p_ride_id uuid default null,
+    p_idempotency_key text default null,
+    p_allow_negative boolean default false
+) returns uuid as $$
+declare
+    v_journal_id uuid;
+    v_entry jsonb;
+    v_account text;
+    v_amount numeric;
+    v_wallet_balance numeric;
+begin
+    if jsonb_array_length(p_entries) < 2 then
+        raise exception 'A journal needs at least two entries';
+    end if;
+    if (select sum((entry->>'amount')::numeric) from jsonb_array_elements(p_entries) entry) <> 0 then
+        raise exception 'Journal entries must balance';
+    end if;
+
+    insert into ledger_journals (kind, description, ride_id, idempotency_key)
+    values (p_kind, p_description, p_ride_id, p_idempotency_key)
+    on conflict (idempotency_key) do nothing
+    returning id into v_journal_id;
+
+    if v_journal_id is null then
+        select id into v_journal_id from ledger_journals where idempotency_key = p_idempotency_key;
+        return v_journal_id;
+    end if;
+
+    for v_entry in select * from jsonb_array_elements(p_entries) loop
+        v_account := v_entry->>'account';
+        v_amount := (v_entry->>'amount')::numeric;
+
+        insert into ledger_accounts (id, balance, updated_at)
+        values (v_account, v_amount, now())
+        on conflict (id) do update
+            set balance = ledger_accounts.balance + excluded.balance, updated_at = now();
+
+        insert into ledger_entries (journal_id, account_id, amount)
+        values (v_journal_id, v_account, v_amount);
+
+        if v_account like 'wallet:%' then
+            update wallets
+            set balance = balance + v_amount, updated_at = now()
+            where user_id = substring(v_account from 8)::uuid
+            returning balance into v_wallet_balance;
+
+            if not found then
+                raise exception 'Wallet not found for account %', v_account;
+            end if;
+            if v_amount < 0 and v_wallet_balance < 0 and not p_allow_negative then
+                raise exception 'Insufficient wallet balance';
+            end if;
+        end if;
+    end loop;
+
+    return v_journal_id;
+end;
+$$ language plpgsql;
+
+-- Every way stored balances can disagree with the entries behind them
+create or replace function ledger_consistency()
+returns table (check_name text, subject text, expected numeric, actual numeric) as $$
+    select 'unbalanced_journal', journal_id::text, 0::numeric, sum(amount)
+    from ledger_entries
+    group by journal_id
+    having sum(amount) <> 0
+    union all
+    select 'account_balance', account.id, coalesce(totals.total, 0), account.balance
+    from ledger_accounts account
+    left join (select account_id, sum(amount) as total from ledger_entries group by account_id) totals
+        on totals.account_id = account.id
+    where account.balance <> coalesce(totals.total, 0)
+    union all
+    select 'wallet_balance', wallet.user_id::text, coalesce(account.balance, 0), wallet.balance::numeric
+    from wallets wallet
+    left join ledger_accounts account on account.id = 'wallet:' || wallet.user_id
+    where wallet.balance::numeric <> coalesce(account.balance, 0)
+    union all
+    select 'ledger_total', 'all', 0::numeric, sum(amount)
+    from ledger_entries
+    having sum(amount) <> 0;
+$$ language sql stable;
+
+-- Opening balances: bring wallets that predate the ledger into it, once
+insert into ledger_journals (kind, description, idempotency_key)
+values ('opening_balance', 'Wallet balances carried into the ledger', 'opening_balances')
+on conflict (idempotency_key) do nothing;
+
+insert into ledger_accounts (id, balance)
+select 'wallet:' || user_id, balance from wallets where balance <> 0
+on conflict (id) do nothing;
+
+insert into ledger_entries (journal_id, account_id, amount)
+select journal.id, 'wallet:' || wallet.user_id, wallet.balance
+from wallets wallet, ledger_journals journal
+where journal.idempotency_key = 'opening_balances'
+  and wallet.balance <> 0
+  and not exists (select 1 from ledger_entries entry where entry.journal_id = journal.id);
+
+insert into ledger_accounts (id, balance)
+select 'platform:opening_balances', -coalesce(sum(balance), 0) from wallets
+on conflict (id) do nothing;
+
+insert into ledger_entries (journal_id, account_id, amount)
+select journal.id, 'platform:opening_balances', -sum(wallet.balance)
+from wallets wallet, ledger_journals journal
+where journal.idempotency_key = 'opening_balances'
+  and not exists (select 1 from ledger_entries entry
+                  where entry.journal_id = journal.id and entry.account_id = 'platform:opening_balances')
+group by journal.id;
+
+-- Add comment to tables
+comment on table ledger_journals is 'One money movement; its entries always sum to zero';
+comment on table ledger_entries is 'Signed amounts per account; an account balance is the sum of its entries';
@@ -0,0 +1,7 @@
+-- Payment provider of each deposit and payout
+
+-- Callbacks, status checks and payouts go back to the provider that handled
+-- the transaction
+alter table transactions add column if not exists provider text;
+
+comment on column transactions.provider is 'Payment provider that handled this deposit or payout (monetbil, sandbox); null on older rows means monetbil';
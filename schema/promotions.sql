@@ -0,0 +1,95 @@
+-- Promo codes for rides and food orders
+
+create table if not exists promo_codes (
+    id uuid default uuid_generate_v4() primary key,
+    code text not null unique,
+    description text,
+    discount_type text not null check (discount_type in ('percent', 'flat')),
+    discount_value real not null check (discount_value > 0),
+    max_discount real,
+    min_spend real,
+    starts_at timestamp with time zone,
+    ends_at timestamp with time zone,
+    usage_limit integer,
+    per_user_limit integer default 1,
+    applies_to text not null default 'all' check (applies_to in ('rides', 'orders', 'all')),
+    business_category text,
+    first_ride_only boolean not null default false,
+    active boolean not null default true,
+    created_by uuid references auth.users(id),
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create table if not exists promo_redemptions (
+    id uuid default uuid_generate_v4() primary key,
+    promo_id uuid references promo_codes(id) not null,
+    user_id uuid references auth.users(id) not null,
+    ride_id uuid,
+    order_id text,
+    discount real not null,
+    status text not null default 'redeemed' check (status in ('redeemed', 'released')),
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    released_at timestamp with time zone
+);
+
+-- Create indexes for usage counts and releasing a ride's or order's redemption
+create index if not exists promo_redemptions_promo_user_idx on promo_redemptions(promo_id, user_id) where status = 'redeemed';
+create index if not exists promo_redemptions_ride_id_idx on promo_redemptions(ride_id);
+create index if not exists promo_redemptions_order_id_idx on promo_redemptions(order_id);
+
+-- The discount locked in at booking
+alter table ride_requests add column if not exists promo_code text;
+alter table ride_requests add column if not exists discount real not null default 0;
+alter table rides add column if not exists promo_code text;
+alter table rides add column if not exists discount real not null default 0;
+alter table orders add column if not exists promo_code text;
+alter table orders add column if not exists discount real not null default 0;
+
+-- Promotions are only written by the backend
+alter table promo_codes enable row level security;
+alter table promo_redemptions enable row level security;
+
+-- Record a redemption if the code's global and per-user limits allow it.
+-- Locking the code row serializes redemptions of the same code.
+create or replace function redeem_promo(
+    p_promo_id uuid,
+    p_user_id uuid,
+    p_discount numeric,
+    p_ride_id uuid default null,
+    p_order_id text default null
+) returns promo_redemptions as $$
+declare
+    v_promo promo_codes;
+    v_redemption promo_redemptions;
+begin
+    select * into v_promo from promo_codes where id = p_promo_id for update;
+    if not found then
+        raise exception 'Promo code not found';
+    end if;
+
+    if v_promo.usage_limit is not null and (
+        select count(*) from promo_redemptions where promo_id = p_promo_id and status = 'redeemed'
+    ) >= v_promo.usage_limit then
+        raise exception 'Promo code has reached its usage limit';
+    end if;
+
+    if v_promo.per_user_limit is not null and (
+        select count(*) from promo_redemptions
+        where promo_id = p_promo_id and user_id = p_user_id and status = 'redeemed'
+    ) >= v_promo.per_user_limit then
+        raise exception 'You have already used this promo code';
+    end if;
+
+    insert into promo_redemptions (promo_id, user_id, ride_id, order_id, discount)
+    values (p_promo_id, p_user_id, p_ride_id, p_order_id, p_discount)
+    returning * into v_redemption;
+
+    return v_redemption;
+end;
+$$ language plpgsql;
+
+-- Add comments to tables and columns
+comment on table promo_codes is 'Marketing promo codes with their discount, limits and targeting';
+comment on table promo_redemptions is 'One row per use of a promo code; released rows no longer count towards limits';
+comment on column ride_requests.discount is 'Promo discount in XAF locked in at booking; the rider pays the fare minus this';
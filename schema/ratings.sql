@@ -0,0 +1,27 @@
+-- Two-way ride ratings
+
+create table if not exists ride_ratings (
+    id uuid default uuid_generate_v4() primary key,
+    ride_id uuid not null,
+    rater_id uuid references auth.users(id) not null,
+    ratee_id uuid references auth.users(id) not null,
+    rater_role text not null check (rater_role in ('rider', 'driver')),
+    score integer not null check (score between 1 and 5),
+    comment text,
+    tags text[] not null default '{}',
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    -- Each party rates a ride once
+    constraint ride_ratings_ride_rater_key unique (ride_id, rater_id)
+);
+
+-- Create index on ratee_id for computing averages
+create index if not exists ride_ratings_ratee_id_idx on ride_ratings(ratee_id, created_at desc);
+
+-- Rolling averages and review flag on the user profile
+alter table users add column if not exists rating_avg real default 5.0;
+alter table users add column if not exists rating_count integer default 0;
+alter table users add column if not exists flagged_for_review boolean default false;
+alter table users add column if not exists flagged_at timestamp with time zone;
+
+-- Add comment to table
+comment on table ride_ratings is 'Ratings riders and drivers give each other after a completed ride';
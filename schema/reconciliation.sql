@@ -0,0 +1,24 @@
+-- Reconciliation of pending provider transactions
+
+-- Backoff state of the reconciler, per transaction
+alter table transactions add column if not exists reconcile_attempts integer not null default 0;
+alter table transactions add column if not exists next_reconcile_at timestamp with time zone;
+
+-- Create index for finding stale pending transactions
+create index if not exists transactions_pending_reconcile_idx on transactions(status, type, created_at) where status = 'pending';
+
+create table if not exists reconciliation_reports (
+    report_date date primary key,
+    checked integer not null,
+    mismatch_count integer not null,
+    mismatches jsonb not null default '[]'::jsonb,
+    generated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Reports are only written by the backend
+alter table reconciliation_reports enable row level security;
+
+-- Add comments to table and columns
+comment on table reconciliation_reports is 'Daily comparison of our deposits and payouts with the provider''s records';
+comment on column reconciliation_reports.mismatches is 'One entry per problem: status_mismatch, missing_wallet_credit or provider_error';
+comment on column transactions.next_reconcile_at is 'When the reconciler checks this pending transaction with the provider again';
@@ -0,0 +1,31 @@
+-- Referral program
+
+alter table users add column if not exists referral_code text unique;
+alter table users add column if not exists signup_device_id text;
+
+create table if not exists referrals (
+    id uuid default uuid_generate_v4() primary key,
+    referrer_id uuid references auth.users(id) not null,
+    referee_id uuid references auth.users(id) not null unique,
+    code text not null,
+    referee_phone text,
+    referee_device_id text,
+    status text not null default 'pending' check (status in ('pending', 'rewarded', 'rejected')),
+    rejection_reason text,
+    referrer_reward real,
+    referee_reward real,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    rewarded_at timestamp with time zone
+);
+
+-- Create indexes for referral stats and the phone and device fraud checks
+create index if not exists referrals_referrer_id_idx on referrals(referrer_id);
+create index if not exists referrals_referee_phone_idx on referrals(referee_phone);
+create index if not exists referrals_referee_device_id_idx on referrals(referee_device_id);
+
+-- Referrals are only written by the backend
+alter table referrals enable row level security;
+
+-- Add comments to table and columns
+comment on table referrals is 'Who invited whom; both are rewarded when the referee completes a first ride or order';
+comment on column referrals.rejection_reason is 'Why the referral is never rewarded, e.g. same_phone or device_already_referred';
@@ -0,0 +1,72 @@
+-- Refunds of rides, orders and wallet charges
+
+create table if not exists refunds (
+    id uuid default uuid_generate_v4() primary key,
+    source_type text not null check (source_type in ('ride', 'order', 'transaction')),
+    source_id text not null,
+    user_id uuid references auth.users(id) not null,
+    amount numeric not null check (amount > 0),
+    reason_code text not null,
+    note text,
+    channel text not null check (channel in ('wallet', 'mobile_money')),
+    status text not null default 'pending' check (status in ('pending', 'completed', 'failed')),
+    failure_reason text,
+    payment_ref text,
+    payout_ref text,
+    created_by uuid references auth.users(id),
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create indexes for totals per refunded item and per-user history
+create index if not exists refunds_source_idx on refunds(source_type, source_id);
+create index if not exists refunds_user_id_idx on refunds(user_id, created_at);
+
+-- Refunds are only written by the backend
+alter table refunds enable row level security;
+
+-- Reserve a refund against a ride, order or transaction. Refunds of the same
+-- item are serialized by an advisory lock, so concurrent requests can't
+-- together refund more than p_paid. A null p_amount refunds whatever is left.
+create or replace function reserve_refund(
+    p_source_type text,
+    p_source_id text,
+    p_user_id uuid,
+    p_amount numeric,
+    p_paid numeric,
+    p_reason_code text,
+    p_note text default null,
+    p_channel text default 'wallet',
+    p_created_by uuid default null
+) returns refunds as $$
+declare
+    v_refunded numeric;
+    v_amount numeric;
+    v_refund refunds;
+begin
+    perform pg_advisory_xact_lock(hashtext('refund:' || p_source_type || ':' || p_source_id));
+
+    select coalesce(sum(amount), 0) into v_refunded
+    from refunds
+    where source_type = p_source_type and source_id = p_source_id and status <> 'failed';
+
+    v_amount := coalesce(p_amount, p_paid - v_refunded);
+    if v_amount <= 0 then
+        raise exception 'Already refunded in full';
+    end if;
+    if v_refunded + v_amount > p_paid then
+        raise exception 'Refund of % exceeds the % left to refund', v_amount, p_paid - v_refunded;
+    end if;
+
+    insert into refunds (source_type, source_id, user_id, amount, reason_code, note, channel, created_by)
+    values (p_source_type, p_source_id, p_user_id, v_amount, p_reason_code, p_note, p_channel, p_created_by)
+    returning * into v_refund;
+
+    return v_refund;
+end;
+$$ language plpgsql;
+
+-- Add comments to table and columns
+comment on table refunds is 'Full and partial refunds; the non-failed refunds of an item never exceed what was paid for it';
+comment on column refunds.payment_ref is 'Wallet credit of the refund';
+comment on column refunds.payout_ref is 'Monetbil payout that sent the refund on to mobile money, if any';
@@ -0,0 +1,34 @@
+-- Unified ride lifecycle shared by ride_requests and rides
+
+-- Move rides onto the shared status vocabulary
+update rides set status = 'pending' where status = 'requested';
+update rides set status = 'started' where status = 'in-progress';
+
+alter table rides alter column status set default 'pending';
+alter table rides add column if not exists cancellation_reason text;
+
+alter table rides drop constraint if exists rides_status_check;
+alter table rides add constraint rides_status_check
+    check (status in ('pending', 'accepted', 'confirmed', 'arrived', 'started', 'completed', 'declined', 'canceled'));
+
+alter table ride_requests drop constraint if exists ride_requests_status_check;
+alter table ride_requests add constraint ride_requests_status_check
+    check (status in ('pending', 'accepted', 'confirmed', 'arrived', 'started', 'completed', 'declined', 'canceled'));
+
+-- Audit trail of every status change
+create table if not exists ride_status_history (
+    id uuid default uuid_generate_v4() primary key,
+    ride_id uuid not null,
+    from_status text not null,
+    to_status text not null,
+    actor_id uuid references auth.users(id),
+    actor_role text not null check (actor_role in ('rider', 'driver', 'system', 'admin')),
+    reason text,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create index on ride_id for faster history lookups
+create index if not exists ride_status_history_ride_id_idx on ride_status_history(ride_id, created_at);
+
+-- Add comment to table
+comment on table ride_status_history is 'Every ride status transition with the actor that caused it';
@@ -0,0 +1,7 @@
+-- Wallet payments for rides (hold and capture)
+
+-- Rides created through the REST API record how they are paid, like ride_requests
+alter table rides add column if not exists payment_method text default 'Cash';
+
+-- Create index for finding a ride's open hold
+create index if not exists transactions_ride_hold_idx on transactions(ride_id, type, status);
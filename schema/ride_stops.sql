@@ -0,0 +1,5 @@
+-- Multi-stop rides: ordered waypoints between pickup and dropoff
+-- Each stop is { address, lat, lng, reached_at }
+
+alter table ride_requests add column if not exists stops jsonb not null default '[]'::jsonb;
+alter table rides add column if not exists stops jsonb not null default '[]'::jsonb;
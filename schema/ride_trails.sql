@@ -0,0 +1,19 @@
+-- GPS breadcrumbs recorded while a ride is active
+
+create table if not exists ride_trail_points (
+    id bigint generated always as identity primary key,
+    ride_id uuid not null,
+    lat double precision not null,
+    lng double precision not null,
+    ride_status text not null,
+    recorded_at timestamp with time zone not null
+);
+
+-- Create index for replaying one ride's trail in order
+create index if not exists ride_trail_points_ride_id_idx on ride_trail_points(ride_id, recorded_at);
+
+-- Trails are only read and written by the backend
+alter table ride_trail_points enable row level security;
+
+-- Add comment to table
+comment on table ride_trail_points is 'Downsampled driver positions per ride, used for final distance and route replay';
@@ -0,0 +1,7 @@
+-- Server-side routing: planned route and ETAs
+
+alter table ride_requests add column if not exists route_polyline text;
+
+comment on column ride_requests.route_polyline is 'Encoded polyline (precision 5) of the planned route through all stops';
+comment on column ride_requests.duration is 'Planned trip duration in seconds, from the routing service';
+comment on column ride_requests.eta is 'Seconds from the driver to the pickup when the ride was accepted';
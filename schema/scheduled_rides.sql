@@ -0,0 +1,12 @@
+-- Scheduled rides held until shortly before booking_date
+
+alter table ride_requests add column if not exists reminder_sent_at timestamp with time zone;
+alter table ride_requests add column if not exists released_at timestamp with time zone;
+
+alter table ride_requests drop constraint if exists ride_requests_status_check;
+alter table ride_requests add constraint ride_requests_status_check
+    check (status in ('scheduled', 'pending', 'accepted', 'confirmed', 'arrived', 'started', 'completed', 'declined', 'canceled'));
+
+-- Create index so the scheduler can rebuild its queue quickly on start
+create index if not exists ride_requests_scheduled_idx on ride_requests(booking_date)
+    where status = 'scheduled';
@@ -0,0 +1,35 @@
+-- Service areas, restricted zones and airport queues
+
+create table if not exists service_zones (
+    id uuid default gen_random_uuid() primary key,
+    name text not null,
+    kind text not null check (kind in ('service_area', 'no_pickup', 'fixed_fare', 'airport')),
+    boundary jsonb not null, -- GeoJSON Polygon, [lng, lat] positions
+    fixed_fare real check (fixed_fare is null or fixed_fare > 0),
+    active boolean not null default true,
+    created_by uuid references auth.users(id),
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    updated_at timestamp with time zone,
+    constraint fixed_fare_zones_have_fare check (kind <> 'fixed_fare' or fixed_fare is not null)
+);
+
+-- Drivers waiting at an airport, in arrival order
+create table if not exists airport_queue (
+    driver_id uuid references auth.users(id) primary key,
+    zone_id uuid references service_zones(id) on delete cascade not null,
+    joined_at timestamp with time zone not null
+);
+
+-- Create index for rebuilding queues in order on startup
+create index if not exists airport_queue_zone_joined_idx on airport_queue(zone_id, joined_at);
+
+-- Flat fare locked into rides that touch a fixed-fare zone
+alter table ride_requests add column if not exists fixed_fare real;
+
+-- Zones and queues are only managed through the backend
+alter table service_zones enable row level security;
+alter table airport_queue enable row level security;
+
+-- Add comment to tables
+comment on table service_zones is 'Admin-drawn polygons: where we operate and the zones with their own rules';
+comment on table airport_queue is 'FIFO queue of free drivers inside each airport zone';
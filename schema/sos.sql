@@ -0,0 +1,45 @@
+-- SOS incidents and emergency contacts
+
+alter table users add column if not exists phone text;
+
+create table if not exists emergency_contacts (
+    id uuid default uuid_generate_v4() primary key,
+    user_id uuid references auth.users(id) not null,
+    name text not null,
+    phone text not null,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create index on user_id for faster lookups
+create index if not exists emergency_contacts_user_id_idx on emergency_contacts(user_id);
+
+create table if not exists sos_incidents (
+    id uuid default uuid_generate_v4() primary key,
+    ride_id uuid not null,
+    reporter_id uuid references auth.users(id) not null,
+    reporter_role text not null check (reporter_role in ('rider', 'driver')),
+    counterpart_id uuid references auth.users(id),
+    status text not null default 'open' check (status in ('open', 'resolved')),
+    message text,
+    reporter_location jsonb,
+    counterpart_location jsonb,
+    ride_snapshot jsonb not null,
+    resolved_by uuid references auth.users(id),
+    resolved_at timestamp with time zone,
+    resolution_notes text,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- At most one open incident per ride
+create unique index if not exists sos_incidents_open_ride_idx on sos_incidents(ride_id) where status = 'open';
+
+-- Last reported positions of the given users
+create or replace function user_positions(p_user_ids uuid[])
+returns table (user_id uuid, role text, lat double precision, lng double precision, updated_at timestamp with time zone) as $$
+    select user_id, role, st_y(location::geometry) as lat, st_x(location::geometry) as lng, updated_at
+    from user_locations
+    where user_id = any(p_user_ids);
+$$ language sql stable;
+
+-- Add comment to table
+comment on table sos_incidents is 'Emergency alerts raised during a trip, handled by operators';
@@ -0,0 +1,12 @@
+-- Surge pricing
+
+-- Multiplier locked into the ride when it is requested
+alter table ride_requests add column if not exists surge_multiplier real not null default 1.0;
+
+-- Positions of drivers that reported a location since the given time
+create or replace function active_driver_positions(since timestamp with time zone)
+returns table (user_id uuid, lat double precision, lng double precision) as $$
+    select user_id, st_y(location::geometry) as lat, st_x(location::geometry) as lng
+    from user_locations
+    where role = 'driver' and updated_at > since;
+$$ language sql stable;
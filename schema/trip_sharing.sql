@@ -0,0 +1,27 @@
+-- Live trip-sharing links
+
+create table if not exists ride_shares (
+    token text primary key,
+    ride_id uuid not null,
+    created_by uuid references auth.users(id) not null,
+    expires_at timestamp with time zone not null,
+    revoked_at timestamp with time zone,
+    created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Create index on ride_id so links can be revoked when the trip ends
+create index if not exists ride_shares_ride_id_idx on ride_shares(ride_id);
+
+-- Share links are only ever resolved by the backend
+alter table ride_shares enable row level security;
+
+-- Last reported position of a driver
+create or replace function driver_position(p_driver_id uuid)
+returns table (lat double precision, lng double precision, updated_at timestamp with time zone) as $$
+    select st_y(location::geometry) as lat, st_x(location::geometry) as lng, updated_at
+    from user_locations
+    where user_id = p_driver_id and role = 'driver';
+$$ language sql stable;
+
+-- Add comment to table
+comment on table ride_shares is 'Expiring tokens that give read-only live access to one ride';
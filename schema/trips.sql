@@ -0,0 +1,20 @@
+-- Driver trip flow: arrival, PIN-verified start and completion
+
+alter table ride_requests add column if not exists start_pin text;
+alter table ride_requests add column if not exists arrived_at timestamp with time zone;
+alter table ride_requests add column if not exists started_at timestamp with time zone;
+alter table ride_requests add column if not exists completed_at timestamp with time zone;
+alter table ride_requests add column if not exists final_distance_m integer;
+alter table ride_requests add column if not exists final_duration_s integer;
+alter table ride_requests add column if not exists final_fare real;
+
+-- Rides booked over REST go through the same PIN-verified flow
+alter table rides add column if not exists start_pin text;
+alter table rides add column if not exists ridetype text;
+alter table rides add column if not exists arrived_at timestamp with time zone;
+alter table rides add column if not exists started_at timestamp with time zone;
+alter table rides add column if not exists completed_at timestamp with time zone;
+
+-- The PIN is only ever read by the backend, never returned to drivers
+comment on column ride_requests.start_pin is '4-digit code the rider gives the driver to start the trip';
+comment on column rides.start_pin is '4-digit code the rider gives the driver to start the trip';
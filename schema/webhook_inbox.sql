@@ -0,0 +1,28 @@
+-- Inbox of payment provider callbacks
+
+create table if not exists webhook_events (
+    id uuid default uuid_generate_v4() primary key,
+    source text not null,
+    idempotency_key text not null unique,
+    payload jsonb not null,
+    signature_valid boolean,
+    status text not null default 'received' check (status in ('received', 'processing', 'processed', 'failed', 'rejected')),
+    attempts integer not null default 0,
+    last_error text,
+    response_status integer,
+    received_at timestamp with time zone default timezone('utc'::text, now()) not null,
+    claimed_at timestamp with time zone,
+    processed_at timestamp with time zone
+);
+
+-- Create index for the admin listing of failed events
+create index if not exists webhook_events_status_idx on webhook_events(status, received_at);
+
+-- Events are only written by the backend
+alter table webhook_events enable row level security;
+
+-- Add comments to table and columns
+comment on table webhook_events is 'Every inbound payment callback with its raw payload, processed once per idempotency key';
+comment on column webhook_events.signature_valid is 'Result of the signature check; null for callbacks the provider does not sign';
+comment on column webhook_events.status is 'received, processing, processed, failed (can be replayed) or rejected (bad signature)';
+comment on column webhook_events.idempotency_key is 'Provider retries of a callback share a key; rejected callbacks get a unique rejected:<key>:<uuid> key';
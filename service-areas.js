@@ -0,0 +1,293 @@
+// Where DropMe operates. Admins draw zones as GeoJSON polygons:
+//
+//   service_area  a city or region we serve; every pickup, stop and dropoff
+//                 must fall inside one
+//   no_pickup     rides can't start here (they can still end here)
+//   fixed_fare    trips starting or ending here cost a flat fare
+//   airport       drivers waiting inside join a FIFO queue that dispatch
+//                 offers pickups from, instead of ranking by distance
+//
+// With no service areas configured every location is served, which keeps
+// development setups working.
+
+const express = require('express');
+const { isValidCoordinate, isInPolygon, isValidPolygon, distanceToPolygon } = require('./geo');
+const { rideEvents } = require('./ride-lifecycle');
+
+const ZONE_KINDS = ['service_area', 'no_pickup', 'fixed_fare', 'airport'];
+
+const createServiceAreas = ({ supabase, io, activeRides }) => {
+  let zones = [];
+  // zoneId -> [{ driverId, joinedAt }] in arrival order
+  const queues = new Map();
+  // driverId -> zoneId of the airport queue they are in
+  const queuedDrivers = new Map();
+
+  const zonesOfKind = (kind) => zones.filter((zone) => zone.kind === kind);
+  const zoneAt = (kind, point) => zonesOfKind(kind).find((zone) => isInPolygon(point, zone.boundary)) || null;
+
+  const loadZones = async () => {
+    const { data, error } = await supabase.from('service_zones').select('*').eq('active', true);
+    if (error) throw error;
+    zones = data;
+
+    // Queues of airports that were removed or disabled are dropped
+    [...queues.keys()]
+      .filter((zoneId) => !zones.some((zone) => zone.id === zoneId && zone.kind === 'airport'))
+      .forEach((zoneId) => {
+        queueSnapshot(zoneId).forEach(({ driverId }) => queuedDrivers.delete(driverId));
+        queues.delete(zoneId);
+      });
+  };
+
+  // Closest service area to a point, for telling riders where we do operate
+  const nearestServiceArea = (point) =>
+    zonesOfKind('service_area')
+      .map((zone) => ({
+        id: zone.id,
+        name: zone.name,
+        distanceMeters: Math.round(distanceToPolygon(point, zone.boundary)),
+      }))
+      .sort((a, b) => a.distanceMeters - b.distanceMeters)[0] || null;
+
+  // null when the trip can be served, otherwise { code, message, nearestArea }
+  const checkTrip = ({ pickup, dropoff, stops = [] }) => {
+    const points = [pickup, ...stops, dropoff].filter(isValidCoordinate);
+
+    if (zonesOfKind('service_area').length > 0) {
+      const outside = points.find((point) => !zoneAt('service_area', point));
+      if (outside) {
+        const nearestArea = nearestServiceArea(outside);
+        const which = outside === pickup ? 'Pickup' : outside === dropoff ? 'Dropoff' : 'A stop';
+        return {
+          code: 'outside_service_area',
+          message: `${which} is outside our service area${nearestArea ? `; the nearest area we serve is ${nearestArea.name}` : ''}`,
+          nearestArea,
+        };
+      }
+    }
+
+    const noPickupZone = zoneAt('no_pickup', pickup);
+    if (noPickupZone) {
+      return {
+        code: 'no_pickup_zone',
+        message: `Pickups aren't allowed in ${noPickupZone.name}; move the pickup outside it`,
+        nearestArea: null,
+      };
+    }
+    return null;
+  };
+
+  // Flat fare for a trip touching a fixed-fare zone, or null
+  const fixedFareFor = ({ pickup, dropoff }) => {
+    const zone = zoneAt('fixed_fare', pickup) || zoneAt('fixed_fare', dropoff);
+    return zone ? zone.fixed_fare : null;
+  };
+
+  const queueSnapshot = (zoneId) => queues.get(zoneId) || [];
+
+  // Tell everyone in an airport queue where they stand
+  const announceQueue = (zoneId) => {
+    const zone = zones.find((z) => z.id === zoneId);
+    const queue = queueSnapshot(zoneId);
+    queue.forEach(({ driverId }, index) => {
+      io.to(driverId).emit('airportQueue', {
+        zoneId,
+        zoneName: zone?.name || null,
+        position: index + 1,
+        length: queue.length,
+      });
+    });
+  };
+
+  // Location updates arrive concurrently, so the driver's place is claimed
+  // before the first await: a second update for the same zone sees it and
+  // stops, instead of queueing the driver twice. In the database driver_id is
+  // the primary key, so a driver is only ever in one queue once.
+  const joinQueue = async (driverId, zoneId) => {
+    if (queuedDrivers.get(driverId) === zoneId) return;
+    const joinedAt = new Date().toISOString();
+    queuedDrivers.set(driverId, zoneId);
+    queues.set(zoneId, [...queueSnapshot(zoneId).filter((entry) => entry.driverId !== driverId), { driverId, joinedAt }]);
+
+    const { error } = await supabase
+      .from('airport_queue')
+      .upsert({ driver_id: driverId, zone_id: zoneId, joined_at: joinedAt }, { onConflict: 'driver_id' });
+    if (error) {
+      queuedDrivers.delete(driverId);
+      queues.set(zoneId, queueSnapshot(zoneId).filter((entry) => entry.driverId !== driverId));
+      throw error;
+    }
+    announceQueue(zoneId);
+  };
+
+  const leaveQueue = async (driverId) => {
+    const zoneId = queuedDrivers.get(driverId);
+    if (!zoneId) return;
+
+    queuedDrivers.delete(driverId);
+    queues.set(zoneId, queueSnapshot(zoneId).filter((entry) => entry.driverId !== driverId));
+    io.to(driverId).emit('airportQueueLeft', { zoneId });
+    announceQueue(zoneId);
+
+    const { error } = await supabase.from('airport_queue').delete().eq('driver_id', driverId);
+    if (error) throw error;
+  };
+
+  const isOnline = async (driverId) => {
+    const { data, error } = await supabase.from('drivers').select('status').eq('id', driverId).maybeSingle();
+    if (error) throw error;
+    return data?.status === 'online';
+  };
+
+  // Free, online drivers entering an airport zone join its queue; leaving
+  // the zone drops them from it
+  const handleDriverLocation = async (driverId, lat, lng) => {
+    const zone = zoneAt('airport', { lat, lng });
+    const currentZoneId = queuedDrivers.get(driverId);
+    if (zone?.id === currentZoneId) return;
+
+    if (currentZoneId) await leaveQueue(driverId);
+    if (zone && !(await activeRides.rideForDriver(driverId)) && (await isOnline(driverId))) {
+      await joinQueue(driverId, zone.id);
+    }
+  };
+
+  // Driver ids queued at the airport zone containing a point, in arrival
+  // order, or null when the point isn't at an airport
+  const queuedDriversAt = (point) => {
+    const zone = zoneAt('airport', point);
+    return zone ? queueSnapshot(zone.id).map((entry) => entry.driverId) : null;
+  };
+
+  // Drivers who take a ride give up their place in the queue
+  rideEvents.on('transition', ({ ride, to }) => {
+    if (to === 'accepted' && ride.driver_id) {
+      leaveQueue(ride.driver_id).catch((err) => console.error('Error leaving airport queue:', err.message));
+    }
+  });
+
+  const start = async () => {
+    await loadZones();
+
+    const { data: queued, error } = await supabase
+      .from('airport_queue')
+      .select('driver_id, zone_id, joined_at')
+      .order('joined_at', { ascending: true });
+    if (error) throw error;
+    queued.forEach(({ driver_id: driverId, zone_id: zoneId, joined_at: joinedAt }) => {
+      queues.set(zoneId, [...queueSnapshot(zoneId), { driverId, joinedAt }]);
+      queuedDrivers.set(driverId, zoneId);
+    });
+  };
+
+  const validateZone = ({ name, kind, boundary, fixed_fare: fixedFare }) => {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+    if (!ZONE_KINDS.includes(kind)) throw new Error(`kind must be one of: ${ZONE_KINDS.join(', ')}`);
+    if (!isValidPolygon(boundary)) throw new Error('boundary must be a closed GeoJSON Polygon');
+    if (kind === 'fixed_fare' && !(typeof fixedFare === 'number' && fixedFare > 0)) {
+      throw new Error('fixed_fare zones need a positive fixed_fare');
+    }
+  };
+
+  // Admin management of zones, mounted behind requireAdmin
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const { data, error } = await supabase.from('service_zones').select('*').order('name');
+      if (error) throw error;
+      res.json({ zones: data });
+    } catch (error) {
+      console.error('Error listing service zones:', error.message);
+      res.status(500).json({ error: 'Failed to list service zones' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { name, kind, boundary, fixed_fare: fixedFare = null } = req.body;
+    try {
+      validateZone({ name, kind, boundary, fixed_fare: fixedFare });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('service_zones')
+        .insert({ name: name.trim(), kind, boundary, fixed_fare: fixedFare, active: true, created_by: req.adminId })
+        .select()
+        .single();
+      if (error) throw error;
+      await loadZones();
+      res.status(201).json({ zone: data });
+    } catch (error) {
+      console.error('Error creating service zone:', error.message);
+      res.status(500).json({ error: 'Failed to create service zone' });
+    }
+  });
+
+  router.patch('/:zoneId', async (req, res) => {
+    const updates = {};
+    ['name', 'kind', 'boundary', 'fixed_fare', 'active'].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    try {
+      const { data: existing, error: loadError } = await supabase
+        .from('service_zones')
+        .select('*')
+        .eq('id', req.params.zoneId)
+        .maybeSingle();
+      if (loadError) throw loadError;
+      if (!existing) return res.status(404).json({ error: 'Zone not found' });
+
+      try {
+        validateZone({ ...existing, ...updates });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { data, error } = await supabase
+        .from('service_zones')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', req.params.zoneId)
+        .select()
+        .single();
+      if (error) throw error;
+      await loadZones();
+      res.json({ zone: data });
+    } catch (error) {
+      console.error('Error updating service zone:', error.message);
+      res.status(500).json({ error: 'Failed to update service zone' });
+    }
+  });
+
+  router.delete('/:zoneId', async (req, res) => {
+    try {
+      const { error } = await supabase.from('service_zones').delete().eq('id', req.params.zoneId);
+      if (error) throw error;
+      await loadZones();
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting service zone:', error.message);
+      res.status(500).json({ error: 'Failed to delete service zone' });
+    }
+  });
+
+  router.get('/:zoneId/queue', (req, res) => {
+    res.json({ queue: queueSnapshot(req.params.zoneId) });
+  });
+
+  return {
+    router,
+    start,
+    checkTrip,
+    fixedFareFor,
+    handleDriverLocation,
+    leaveQueue,
+    queuedDriversAt,
+  };
+};
+
+module.exports = { createServiceAreas };
@@ -0,0 +1,37 @@
+// Handshake authentication for Socket.IO. Clients connect with their Supabase
+// access token, io(url, { auth: { token } }), and sockets without a valid one
+// are refused. The verified user's id and role are kept on socket.data.user;
+// event handlers act as that user whatever ids their payload carries.
+
+const tokenOf = (handshake) =>
+  handshake.auth?.token || (handshake.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+const authenticateSocket = (supabase) => async (socket, next) => {
+  const token = tokenOf(socket.handshake);
+  if (!token) {
+    return next(new Error('Missing access token'));
+  }
+
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      return next(new Error('Invalid access token'));
+    }
+
+    // Users who haven't registered their profile yet connect without a role
+    const { data: profile, error: profileError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', data.user.id)
+      .maybeSingle();
+    if (profileError) throw profileError;
+
+    socket.data.user = { id: data.user.id, role: profile?.role || null };
+    next();
+  } catch (error) {
+    console.error('Error authenticating socket:', error.message);
+    next(new Error('Failed to verify access'));
+  }
+};
+
+module.exports = { authenticateSocket };
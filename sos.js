@@ -0,0 +1,241 @@
+// SOS alerts during an active trip. Triggering one records an incident with
+// both parties' last known positions, texts the reporter's emergency contacts
+// a live trip link, alerts operators in real time and switches both phones to
+// high-frequency location reporting until an operator resolves it.
+
+const { ASSIGNED_STATUSES, getRide } = require('./ride-lifecycle');
+const { sendSms } = require('./notifications');
+
+const OPERATORS_ROOM = 'operators';
+const HIGH_FREQUENCY_INTERVAL_MS = Number(process.env.SOS_LOCATION_INTERVAL_MS) || 2000;
+const MAX_EMERGENCY_CONTACTS = 5;
+
+const createSosService = ({ supabase, io, tripSharing }) => {
+  // userId -> incidentId for everyone involved in an open incident
+  const trackedUsers = new Map();
+
+  const setLocationMode = (incident, mode) => {
+    [incident.reporter_id, incident.counterpart_id].filter(Boolean).forEach((userId) => {
+      if (mode === 'high') trackedUsers.set(userId, incident.id);
+      else trackedUsers.delete(userId);
+      io.to(userId).emit('locationMode', {
+        rideId: incident.ride_id,
+        mode,
+        intervalMs: mode === 'high' ? HIGH_FREQUENCY_INTERVAL_MS : null,
+      });
+    });
+  };
+
+  const getUserSummaries = async (userIds) => {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, first_name, last_name, phone, role')
+      .in('id', userIds);
+    if (error) throw error;
+    return Object.fromEntries(data.map((user) => [user.id, user]));
+  };
+
+  const notifyEmergencyContacts = async (userId, reporterName, shareUrl) => {
+    const { data: contacts, error } = await supabase
+      .from('emergency_contacts')
+      .select('name, phone')
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    const message = `DropMe SOS: ${reporterName} has raised an emergency alert during a trip. Follow the trip live: ${shareUrl}`;
+    const results = await Promise.allSettled(contacts.map((contact) => sendSms(contact.phone, message)));
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => console.error('Error notifying emergency contact:', result.reason.message));
+    return results.filter((result) => result.status === 'fulfilled').length;
+  };
+
+  const triggerSos = async ({ userId, rideId, lat, lng, message = null }) => {
+    const { ride } = await getRide(supabase, rideId);
+    if (!ride || !ASSIGNED_STATUSES.includes(ride.status) || ![ride.rider_id, ride.driver_id].includes(userId)) {
+      throw new Error('SOS is only available to the rider or driver of an active trip');
+    }
+
+    // Repeated presses during the same incident don't open new ones
+    const { data: openIncident, error: openError } = await supabase
+      .from('sos_incidents')
+      .select('*')
+      .eq('ride_id', rideId)
+      .eq('status', 'open')
+      .maybeSingle();
+    if (openError) throw openError;
+    if (openIncident) return openIncident;
+
+    const reporterRole = userId === ride.rider_id ? 'rider' : 'driver';
+    const counterpartId = reporterRole === 'rider' ? ride.driver_id : ride.rider_id;
+
+    const { data: positions, error: positionsError } = await supabase.rpc('user_positions', {
+      p_user_ids: [userId, counterpartId],
+    });
+    if (positionsError) throw positionsError;
+    const positionOf = (id) => positions.find((position) => position.user_id === id) || null;
+
+    const users = await getUserSummaries([userId, counterpartId]);
+    const { data: vehicle } = await supabase
+      .from('vehicles')
+      .select('make, model, license_plate')
+      .eq('driver_id', ride.driver_id)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    const { data: incident, error } = await supabase
+      .from('sos_incidents')
+      .insert({
+        ride_id: rideId,
+        reporter_id: userId,
+        reporter_role: reporterRole,
+        counterpart_id: counterpartId,
+        status: 'open',
+        message,
+        // A position sent with the alert is fresher than the stored one
+        reporter_location: typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : positionOf(userId),
+        counterpart_location: positionOf(counterpartId),
+        ride_snapshot: {
+          status: ride.status,
+          pickup: ride.pickup || ride.pickup_location,
+          dropoff: ride.dropoff || ride.dropoff_location,
+          stops: ride.stops || [],
+          vehicle,
+        },
+      })
+      .select()
+      .single();
+    if (error) throw error;
+
+    const reporter = users[userId] || {};
+    let contactsNotified = 0;
+    try {
+      const share = await tripSharing.createShareLink({ rideId, userId });
+      contactsNotified = await notifyEmergencyContacts(userId, reporter.first_name || 'A DropMe user', share.url);
+    } catch (err) {
+      console.error(`Error notifying emergency contacts for incident ${incident.id}:`, err.message);
+    }
+
+    io.to(OPERATORS_ROOM).emit('sosIncident', {
+      ...incident,
+      reporter,
+      counterpart: users[counterpartId] || null,
+      contactsNotified,
+    });
+    setLocationMode(incident, 'high');
+
+    console.warn(`SOS incident ${incident.id} opened by ${reporterRole} ${userId} on ride ${rideId}`);
+    return incident;
+  };
+
+  const resolveSos = async ({ incidentId, operatorId, notes = null }) => {
+    const { data: incident, error } = await supabase
+      .from('sos_incidents')
+      .update({
+        status: 'resolved',
+        resolved_by: operatorId,
+        resolved_at: new Date().toISOString(),
+        resolution_notes: notes,
+      })
+      .eq('id', incidentId)
+      .eq('status', 'open')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!incident) {
+      throw new Error('Incident not found or already resolved');
+    }
+
+    setLocationMode(incident, 'normal');
+    io.to(OPERATORS_ROOM).emit('sosResolved', { incidentId, operatorId });
+    return incident;
+  };
+
+  // Stream positions of anyone in an open incident to the operators
+  const handleLocation = (userId, lat, lng) => {
+    const incidentId = trackedUsers.get(userId);
+    if (incidentId) {
+      io.to(OPERATORS_ROOM).emit('sosLocation', { incidentId, userId, lat, lng, at: new Date().toISOString() });
+    }
+  };
+
+  const isOperator = async (userId) => {
+    const { data, error } = await supabase.from('users').select('role').eq('id', userId).maybeSingle();
+    if (error) throw error;
+    return data?.role === 'operator';
+  };
+
+  const joinOperators = async (socket, userId) => {
+    if (!(await isOperator(userId))) {
+      throw new Error('Only operators can join the operator room');
+    }
+    socket.join(OPERATORS_ROOM);
+
+    const { data: incidents, error } = await supabase
+      .from('sos_incidents')
+      .select('*')
+      .eq('status', 'open')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    socket.emit('openSosIncidents', { incidents });
+  };
+
+  const fetchEmergencyContacts = async (userId) => {
+    const { data, error } = await supabase
+      .from('emergency_contacts')
+      .select('id, name, phone')
+      .eq('user_id', userId);
+    if (error) throw error;
+    return data;
+  };
+
+  const saveEmergencyContact = async ({ userId, name, phone }) => {
+    if (!userId || !name || !phone) {
+      throw new Error('Missing required fields: userId, name, phone');
+    }
+    const existing = await fetchEmergencyContacts(userId);
+    if (existing.length >= MAX_EMERGENCY_CONTACTS) {
+      throw new Error(`Up to ${MAX_EMERGENCY_CONTACTS} emergency contacts allowed`);
+    }
+
+    const { data, error } = await supabase
+      .from('emergency_contacts')
+      .insert({ user_id: userId, name, phone })
+      .select('id, name, phone')
+      .single();
+    if (error) throw error;
+    return data;
+  };
+
+  const deleteEmergencyContact = async ({ userId, contactId }) => {
+    const { error } = await supabase
+      .from('emergency_contacts')
+      .delete()
+      .eq('id', contactId)
+      .eq('user_id', userId);
+    if (error) throw error;
+  };
+
+  // Restore high-frequency tracking for incidents still open after a restart
+  const start = async () => {
+    const { data: incidents, error } = await supabase
+      .from('sos_incidents')
+      .select('id, ride_id, reporter_id, counterpart_id')
+      .eq('status', 'open');
+    if (error) throw error;
+    incidents.forEach((incident) => setLocationMode(incident, 'high'));
+  };
+
+  return {
+    start,
+    triggerSos,
+    resolveSos,
+    handleLocation,
+    joinOperators,
+    fetchEmergencyContacts,
+    saveEmergencyContact,
+    deleteEmergencyContact,
+  };
+};
+
+module.exports = { createSosService };
@@ -0,0 +1,142 @@
+// Intermediate stops on a ride request. Stops are an ordered jsonb array of
+// { address, lat, lng, reached_at } between pickup and dropoff. Riders can add
+// or remove stops until the trip ends; every change re-prices the ride.
+
+const { ACTIVE_STATUSES, getRide } = require('./ride-lifecycle');
+const { quoteFare } = require('./fares');
+const { routeTrip } = require('./routing');
+const { isValidCoordinate } = require('./geo');
+
+const loadRideRequest = async (supabase, rideId) => {
+  const { table, ride } = await getRide(supabase, rideId);
+  if (!ride || table !== 'ride_requests' || !ACTIVE_STATUSES.includes(ride.status)) {
+    throw new Error('Ride not found or no longer active');
+  }
+  return ride;
+};
+
+// Index of the first stop the driver hasn't reached yet
+const nextStopIndex = (stops) => {
+  const index = stops.findIndex((stop) => !stop.reached_at);
+  return index === -1 ? stops.length : index;
+};
+
+// Keep the rides row (created once the ride is accepted) in step, like
+// transitionRide does for status changes
+const mirrorStops = async (supabase, ride) => {
+  const { error } = await supabase.from('rides').update({ stops: ride.stops, fare: ride.fare }).eq('id', ride.id);
+  if (error) console.error(`Error mirroring stops of ride ${ride.id} to rides:`, error);
+};
+
+// Save a new stop list and the fare and distance that go with it
+const saveStops = async (supabase, ride, stops) => {
+  const route = await routeTrip(ride.pickup, ride.dropoff, stops);
+  const quote = quoteFare({
+    pickup: ride.pickup,
+    dropoff: ride.dropoff,
+    stops,
+    rideType: ride.ridetype,
+    surgeMultiplier: ride.surge_multiplier || 1,
+    route,
+    fixedFare: ride.fixed_fare || null,
+  });
+
+  const { data: updatedRide, error } = await supabase
+    .from('ride_requests')
+    .update({
+      stops,
+      fare: quote.fare,
+      distance: `${quote.distanceMeters} m`,
+      duration: route.durationSeconds,
+      route_polyline: route.polyline,
+    })
+    .eq('id', ride.id)
+    .eq('status', ride.status)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!updatedRide) {
+    throw new Error('Ride changed status while updating stops');
+  }
+  await mirrorStops(supabase, updatedRide);
+  return updatedRide;
+};
+
+// Insert a stop at position (defaults to just before the dropoff). Stops the
+// driver has already passed can't be reordered, and the new stop has to be
+// somewhere we serve; the error then carries the coverage details as
+// coverageError.
+const addStop = async (supabase, { rideId, riderId, stop, position, serviceAreas }) => {
+  const ride = await loadRideRequest(supabase, rideId);
+  if (ride.rider_id !== riderId) {
+    throw new Error('Only the rider can change stops');
+  }
+
+  const stops = [...(ride.stops || [])];
+  const insertAt = position ?? stops.length;
+  if (insertAt < nextStopIndex(stops) || insertAt > stops.length) {
+    throw new Error('Invalid stop position');
+  }
+
+  if (!isValidCoordinate(stop)) {
+    throw new Error('Invalid stop: lat/lng must be numbers');
+  }
+  stops.splice(insertAt, 0, { address: stop.address || null, lat: stop.lat, lng: stop.lng, reached_at: null });
+
+  const coverageError = serviceAreas.checkTrip({ pickup: ride.pickup, dropoff: ride.dropoff, stops });
+  if (coverageError) {
+    const error = new Error(coverageError.message);
+    error.coverageError = coverageError;
+    throw error;
+  }
+  return saveStops(supabase, ride, stops);
+};
+
+const removeStop = async (supabase, { rideId, riderId, stopIndex }) => {
+  const ride = await loadRideRequest(supabase, rideId);
+  if (ride.rider_id !== riderId) {
+    throw new Error('Only the rider can change stops');
+  }
+
+  const stops = [...(ride.stops || [])];
+  if (!stops[stopIndex] || stops[stopIndex].reached_at) {
+    throw new Error('Stop not found or already reached');
+  }
+
+  stops.splice(stopIndex, 1);
+  return saveStops(supabase, ride, stops);
+};
+
+// The driver reached the next stop on the way to the dropoff
+const markStopReached = async (supabase, { rideId, driverId, stopIndex }) => {
+  const ride = await loadRideRequest(supabase, rideId);
+  if (ride.driver_id !== driverId || ride.status !== 'started') {
+    throw new Error('Ride not started or not assigned to this driver');
+  }
+
+  const stops = [...(ride.stops || [])];
+  if (stopIndex !== nextStopIndex(stops) || !stops[stopIndex]) {
+    throw new Error('Stops must be reached in order');
+  }
+
+  stops[stopIndex] = { ...stops[stopIndex], reached_at: new Date().toISOString() };
+  const { data: updatedRide, error } = await supabase
+    .from('ride_requests')
+    .update({ stops })
+    .eq('id', rideId)
+    .eq('status', 'started')
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!updatedRide) {
+    throw new Error('Ride changed status while updating stops');
+  }
+  await mirrorStops(supabase, updatedRide);
+  return updatedRide;
+};
+
+module.exports = {
+  addStop,
+  removeStop,
+  markStopReached,
+};
@@ -0,0 +1,118 @@
+// Surge pricing from live supply and demand. The city is split into geohash
+// zones; every minute each zone's recent ride requests (demand) are compared
+// with drivers who reported a location recently (supply) and turned into a
+// capped fare multiplier.
+
+const { encodeGeohash, decodeGeohash } = require('./geo');
+
+const ZONE_PRECISION = Number(process.env.SURGE_GEOHASH_PRECISION) || 5;
+const DEMAND_WINDOW_MS = (Number(process.env.SURGE_DEMAND_WINDOW_MINUTES) || 10) * 60 * 1000;
+const SUPPLY_WINDOW_MS = 5 * 60 * 1000;
+const MAX_MULTIPLIER = Number(process.env.SURGE_MAX_MULTIPLIER) || 2.5;
+const SENSITIVITY = Number(process.env.SURGE_SENSITIVITY) || 0.5;
+const RECOMPUTE_INTERVAL_MS = 60 * 1000;
+
+const zoneOf = (lat, lng) => encodeGeohash(lat, lng, ZONE_PRECISION);
+const zoneRoom = (zone) => `surge_${zone}`;
+
+// Demand above supply raises the fare, in steps of 0.1 up to the cap
+const toMultiplier = (demand, supply) => {
+  const ratio = demand / Math.max(supply, 1);
+  if (ratio <= 1) return 1;
+  const multiplier = Math.min(MAX_MULTIPLIER, 1 + (ratio - 1) * SENSITIVITY);
+  return Math.round(multiplier * 10) / 10;
+};
+
+const createSurgeMonitor = ({ supabase, io }) => {
+  // zone -> { demand, supply, multiplier }
+  let zones = new Map();
+  let interval = null;
+
+  const countByZone = (points) => {
+    const counts = new Map();
+    points.forEach(({ lat, lng }) => {
+      const zone = zoneOf(lat, lng);
+      counts.set(zone, (counts.get(zone) || 0) + 1);
+    });
+    return counts;
+  };
+
+  const recompute = async () => {
+    const now = Date.now();
+
+    const { data: drivers, error: supplyError } = await supabase.rpc('active_driver_positions', {
+      since: new Date(now - SUPPLY_WINDOW_MS).toISOString(),
+    });
+    if (supplyError) throw supplyError;
+
+    const { data: requests, error: demandError } = await supabase
+      .from('ride_requests')
+      .select('pickup')
+      .neq('status', 'scheduled')
+      .gt('created_at', new Date(now - DEMAND_WINDOW_MS).toISOString());
+    if (demandError) throw demandError;
+
+    const supply = countByZone(drivers);
+    const demand = countByZone(requests.map((request) => request.pickup).filter(Boolean));
+
+    const nextZones = new Map();
+    new Set([...supply.keys(), ...demand.keys()]).forEach((zone) => {
+      const zoneDemand = demand.get(zone) || 0;
+      const zoneSupply = supply.get(zone) || 0;
+      nextZones.set(zone, {
+        demand: zoneDemand,
+        supply: zoneSupply,
+        multiplier: toMultiplier(zoneDemand, zoneSupply),
+      });
+    });
+
+    // Tell riders in zones whose multiplier moved
+    new Set([...zones.keys(), ...nextZones.keys()]).forEach((zone) => {
+      const previous = zones.get(zone)?.multiplier || 1;
+      const current = nextZones.get(zone)?.multiplier || 1;
+      if (previous !== current) {
+        io.to(zoneRoom(zone)).emit('surgeUpdate', { zone, multiplier: current });
+      }
+    });
+
+    zones = nextZones;
+  };
+
+  const start = () => {
+    clearInterval(interval);
+    interval = setInterval(() => {
+      recompute().catch((err) => console.error('Error recomputing surge:', err.message));
+    }, RECOMPUTE_INTERVAL_MS);
+    return recompute();
+  };
+
+  const stop = () => clearInterval(interval);
+
+  // Multiplier currently applied to fares picked up at this point
+  const getMultiplier = ({ lat, lng }) => zones.get(zoneOf(lat, lng))?.multiplier || 1;
+
+  // Zones with any activity, for the driver heatmap
+  const getHeatmap = () =>
+    [...zones.entries()].map(([zone, stats]) => ({ zone, ...decodeGeohash(zone), ...stats }));
+
+  // Move a rider's socket into the surge room of the zone they're in
+  const trackRider = (socket, { lat, lng }) => {
+    const zone = zoneOf(lat, lng);
+    if (socket.data.surgeZone === zone) return;
+
+    if (socket.data.surgeZone) socket.leave(zoneRoom(socket.data.surgeZone));
+    socket.join(zoneRoom(zone));
+    socket.data.surgeZone = zone;
+    socket.emit('surgeUpdate', { zone, multiplier: zones.get(zone)?.multiplier || 1 });
+  };
+
+  return {
+    start,
+    stop,
+    getMultiplier,
+    getHeatmap,
+    trackRider,
+  };
+};
+
+module.exports = { createSurgeMonitor };
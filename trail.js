@@ -0,0 +1,92 @@
+// GPS breadcrumb trail per ride. Driver positions received while a ride is
+// active are appended to ride_trail_points, downsampled so a stationary or
+// jittery phone doesn't flood the table. The trail gives the actual distance
+// at completion and a replayable route for support.
+
+const { haversineDistance, pathDistance, encodePolyline } = require('./geo');
+const { ACTIVE_STATUSES, rideEvents } = require('./ride-lifecycle');
+
+const MIN_DISTANCE_M = Number(process.env.TRAIL_MIN_DISTANCE_M) || 15;
+const MAX_INTERVAL_MS = (Number(process.env.TRAIL_MAX_INTERVAL_SECONDS) || 30) * 1000;
+// Jumps implying more than this speed are GPS glitches and are dropped
+const MAX_SPEED_MPS = 200 / 3.6;
+
+const getTrail = async (supabase, rideId, { status } = {}) => {
+  let query = supabase
+    .from('ride_trail_points')
+    .select('lat, lng, ride_status, recorded_at')
+    .eq('ride_id', rideId)
+    .order('recorded_at', { ascending: true });
+  if (status) query = query.eq('ride_status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+};
+
+// Distance in meters actually driven with the rider on board, or null when
+// too few points were recorded to tell
+const getTripDistance = async (supabase, rideId) => {
+  const points = await getTrail(supabase, rideId, { status: 'started' });
+  return points.length >= 2 ? Math.round(pathDistance(points)) : null;
+};
+
+const toGeoJson = (points) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'LineString',
+    coordinates: points.map(({ lng, lat }) => [lng, lat]),
+  },
+  properties: {
+    startedAt: points[0]?.recorded_at || null,
+    endedAt: points[points.length - 1]?.recorded_at || null,
+    distanceMeters: Math.round(pathDistance(points)),
+  },
+});
+
+const toPolyline = (points) => encodePolyline(points);
+
+const createTrailRecorder = ({ supabase, activeRides }) => {
+  // rideId -> last recorded { lat, lng, at }
+  const lastPoints = new Map();
+
+  const shouldRecord = (previous, point) => {
+    if (!previous) return true;
+    const distance = haversineDistance(previous, point);
+    const elapsedMs = point.at - previous.at;
+    if (elapsedMs > 0 && distance / (elapsedMs / 1000) > MAX_SPEED_MPS) return false;
+    return distance >= MIN_DISTANCE_M || elapsedMs >= MAX_INTERVAL_MS;
+  };
+
+  const recordDriverPosition = async (driverId, lat, lng) => {
+    const ride = await activeRides.rideForDriver(driverId);
+    if (!ride) return;
+
+    const point = { lat, lng, at: Date.now() };
+    if (!shouldRecord(lastPoints.get(ride.id), point)) return;
+
+    const { error } = await supabase.from('ride_trail_points').insert({
+      ride_id: ride.id,
+      lat,
+      lng,
+      ride_status: ride.status,
+      recorded_at: new Date(point.at).toISOString(),
+    });
+    if (error) throw error;
+    lastPoints.set(ride.id, point);
+  };
+
+  rideEvents.on('transition', ({ ride, to }) => {
+    if (!ACTIVE_STATUSES.includes(to)) lastPoints.delete(ride.id);
+  });
+
+  return { recordDriverPosition };
+};
+
+module.exports = {
+  getTrail,
+  getTripDistance,
+  toGeoJson,
+  toPolyline,
+  createTrailRecorder,
+};
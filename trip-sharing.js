@@ -0,0 +1,156 @@
+// Live trip sharing. A rider (or driver) mints an expiring, unguessable token
+// for an active ride and sends the link to trusted contacts. Holders get
+// a read-only view (status, driver name, plate, live position) over REST and
+// the /share socket namespace, and nothing else about the ride or its users.
+
+const crypto = require('crypto');
+const express = require('express');
+const { ASSIGNED_STATUSES, getRide, rideEvents } = require('./ride-lifecycle');
+
+const SHARE_TTL_MS = (Number(process.env.SHARE_LINK_TTL_HOURS) || 4) * 60 * 60 * 1000;
+const SHARE_BASE_URL = process.env.SHARE_BASE_URL || 'https://dropme-backend-s7wz.onrender.com';
+const SHAREABLE_STATUSES = ['pending', ...ASSIGNED_STATUSES];
+
+const shareRoom = (rideId) => `ride_${rideId}`;
+
+const createTripSharing = ({ supabase, io, activeRides }) => {
+  const namespace = io.of('/share');
+
+  // Ride behind a token, or null if the token is unknown, expired or the trip ended
+  const resolveShare = async (token) => {
+    if (typeof token !== 'string' || token.length < 32) return null;
+
+    const { data: share, error } = await supabase
+      .from('ride_shares')
+      .select('ride_id, expires_at')
+      .eq('token', token)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+    if (error) throw error;
+    if (!share) return null;
+
+    const { ride } = await getRide(supabase, share.ride_id);
+    return ride && SHAREABLE_STATUSES.includes(ride.status) ? ride : null;
+  };
+
+  // The only ride data a share link exposes
+  const toSharedView = async (ride) => {
+    let driver = null;
+    let location = null;
+
+    if (ride.driver_id) {
+      const [{ data: user }, { data: vehicle }, { data: position }] = await Promise.all([
+        supabase.from('users').select('first_name').eq('id', ride.driver_id).maybeSingle(),
+        supabase
+          .from('vehicles')
+          .select('make, model, license_plate')
+          .eq('driver_id', ride.driver_id)
+          .eq('status', 'active')
+          .maybeSingle(),
+        supabase.rpc('driver_position', { p_driver_id: ride.driver_id }).maybeSingle(),
+      ]);
+
+      driver = {
+        name: user?.first_name || null,
+        vehicle: vehicle ? `${vehicle.make} ${vehicle.model}` : null,
+        licensePlate: vehicle?.license_plate || null,
+      };
+      location = position ? { lat: position.lat, lng: position.lng, updatedAt: position.updated_at } : null;
+    }
+
+    return { status: ride.status, driver, location };
+  };
+
+  const createShareLink = async ({ rideId, userId }) => {
+    const { ride } = await getRide(supabase, rideId);
+    if (!ride || ![ride.rider_id, ride.driver_id].includes(userId) || !SHAREABLE_STATUSES.includes(ride.status)) {
+      throw new Error('Only the rider or driver of an active ride can share it');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SHARE_TTL_MS).toISOString();
+    const { error } = await supabase.from('ride_shares').insert({
+      token,
+      ride_id: rideId,
+      created_by: userId,
+      expires_at: expiresAt,
+    });
+    if (error) throw error;
+
+    return { token, url: `${SHARE_BASE_URL}/api/share/${token}`, expiresAt };
+  };
+
+  // Forward a driver's position to anyone watching their current ride
+  const handleDriverLocation = async (driverId, lat, lng) => {
+    const ride = await activeRides.rideForDriver(driverId);
+    if (ride) {
+      namespace.to(shareRoom(ride.id)).emit('driverLocation', { lat, lng, updatedAt: new Date().toISOString() });
+    }
+  };
+
+  // Keep viewers up to date and shut links down when the trip ends
+  rideEvents.on('transition', ({ ride, to }) => {
+    if (SHAREABLE_STATUSES.includes(to)) {
+      namespace.to(shareRoom(ride.id)).emit('tripStatus', { status: to });
+      return;
+    }
+
+    namespace.to(shareRoom(ride.id)).emit('tripEnded', { status: to });
+    namespace.in(shareRoom(ride.id)).disconnectSockets(true);
+    supabase
+      .from('ride_shares')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('ride_id', ride.id)
+      .is('revoked_at', null)
+      .then(({ error }) => {
+        if (error) console.error(`Error revoking share links for ride ${ride.id}:`, error);
+      });
+  });
+
+  // Viewers connect with io('/share', { auth: { token } })
+  namespace.use(async (socket, next) => {
+    try {
+      const ride = await resolveShare(socket.handshake.auth?.token || socket.handshake.query?.token);
+      if (!ride) return next(new Error('Share link is invalid or has expired'));
+      socket.data.rideId = ride.id;
+      next();
+    } catch (err) {
+      console.error('Error in share namespace auth:', err.message);
+      next(new Error('Share link is invalid or has expired'));
+    }
+  });
+
+  namespace.on('connection', async (socket) => {
+    socket.join(shareRoom(socket.data.rideId));
+    try {
+      const { ride } = await getRide(supabase, socket.data.rideId);
+      socket.emit('tripSnapshot', await toSharedView(ride));
+    } catch (err) {
+      console.error('Error sending trip snapshot:', err.message);
+    }
+  });
+
+  // Public, read-only snapshot for people opening the link in a browser
+  const router = express.Router();
+  router.get('/:token', async (req, res) => {
+    try {
+      const ride = await resolveShare(req.params.token);
+      if (!ride) {
+        return res.status(404).json({ error: 'Share link is invalid or has expired' });
+      }
+      res.json(await toSharedView(ride));
+    } catch (error) {
+      console.error('Error in shared trip view:', error.message);
+      res.status(500).json({ error: 'Failed to load shared trip' });
+    }
+  });
+
+  return {
+    router,
+    createShareLink,
+    handleDriverLocation,
+  };
+};
+
+module.exports = { createTripSharing };
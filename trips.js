@@ -0,0 +1,70 @@
+// Helpers for the driver side of a trip: the rider's start PIN and the final
+// figures written when a trip completes.
+
+const crypto = require('crypto');
+const { estimateTrip, calculateFare } = require('./fares');
+const { getTripDistance } = require('./trail');
+const { pickupOf, dropoffOf } = require('./ride-lifecycle');
+
+const MAX_PIN_ATTEMPTS = 5;
+
+// rideId -> failed PIN attempts, so a driver can't brute-force the PIN
+const pinAttempts = new Map();
+
+const generateTripPin = () => crypto.randomInt(0, 10000).toString().padStart(4, '0');
+
+// Check the PIN the driver typed in against the one given to the rider
+const verifyTripPin = (ride, pin) => {
+  const attempts = pinAttempts.get(ride.id) || 0;
+  if (attempts >= MAX_PIN_ATTEMPTS) {
+    throw new Error('Too many incorrect PIN attempts; ask the rider to contact support');
+  }
+
+  if (!ride.start_pin || String(pin) !== ride.start_pin) {
+    pinAttempts.set(ride.id, attempts + 1);
+    throw new Error('Incorrect trip PIN');
+  }
+
+  pinAttempts.delete(ride.id);
+};
+
+// Final distance, duration and fare for a ride that just finished, from either
+// table. The distance comes from the recorded GPS trail when there is one, and
+// from the straight-line estimate otherwise. Each table gets the final figures
+// in its own columns: final_* on ride_requests, distance_km and cost on rides.
+const summarizeTrip = async (supabase, ride, completedAt = new Date()) => {
+  const startedAt = new Date(ride.started_at || ride.created_at);
+  const durationSeconds = Math.max(0, Math.round((completedAt - startedAt) / 1000));
+  const stops = ride.stops || [];
+  const distanceMeters =
+    (await getTripDistance(supabase, ride.id)) ?? estimateTrip(pickupOf(ride), dropoffOf(ride), stops).distanceMeters;
+  const { fare } = calculateFare({
+    distanceMeters,
+    durationSeconds,
+    rideType: ride.ridetype,
+    stopCount: stops.length,
+    surgeMultiplier: ride.surge_multiplier || 1,
+    fixedFare: ride.fixed_fare || null,
+  });
+
+  return {
+    summary: { distanceMeters, durationSeconds, fare },
+    requestsPatch: {
+      completed_at: completedAt.toISOString(),
+      final_distance_m: distanceMeters,
+      final_duration_s: durationSeconds,
+      final_fare: fare,
+    },
+    ridesPatch: {
+      completed_at: completedAt.toISOString(),
+      distance_km: distanceMeters / 1000,
+      cost: fare,
+    },
+  };
+};
+
+module.exports = {
+  generateTripPin,
+  verifyTripPin,
+  summarizeTrip,
+};
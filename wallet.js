@@ -0,0 +1,196 @@
+// Wallet movements (deposits, fees, driver earnings, ride payments,
+// payouts). Each one posts a ledger journal against a counter account, which
+// updates wallets.balance atomically, and is recorded in transactions as a
+// completed row unless the money leaves through a provider that still has to
+// confirm it.
+
+const { v4: uuidv4 } = require('uuid');
+const { walletAccount, providerAccount, postJournal } = require('./ledger');
+
+const getWallet = async (supabase, userId) => {
+  const { data: wallet, error } = await supabase
+    .from('wallets')
+    .select('user_id, balance')
+    .eq('user_id', userId)
+    .single();
+  if (error || !wallet) {
+    throw new Error(`Wallet not found for user ${userId}`);
+  }
+  return wallet;
+};
+
+// Move delta into (or, negative, out of) a wallet from counterAccount. The
+// payment reference doubles as the journal's idempotency key.
+const postWalletJournal = async (
+  supabase,
+  { userId, delta, counterAccount, type, description, rideId = null, paymentRef, allowNegative = false }
+) => {
+  if (!counterAccount) {
+    throw new Error('Wallet movements need a counter account');
+  }
+
+  await postJournal(supabase, {
+    kind: type,
+    description,
+    rideId,
+    idempotencyKey: paymentRef,
+    allowNegative,
+    entries: [
+      { account: walletAccount(userId), amount: delta },
+      { account: counterAccount, amount: -delta },
+    ],
+  });
+  const { balance } = await getWallet(supabase, userId);
+  return balance;
+};
+
+const recordTransaction = async (
+  supabase,
+  {
+    userId,
+    amount,
+    type,
+    description,
+    rideId = null,
+    status = 'completed',
+    method = 'Wallet',
+    paymentRef = uuidv4(),
+    provider = null,
+  }
+) => {
+  const { data: transaction, error } = await supabase
+    .from('transactions')
+    .insert({
+      id: uuidv4(),
+      user_id: userId,
+      amount,
+      type,
+      status,
+      method,
+      payment_ref: paymentRef,
+      provider,
+      ride_id: rideId,
+      description,
+      updated_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+  // A retried movement with the same reference returns the row it recorded
+  if (error?.code === '23505') {
+    const { data: existing, error: lookupError } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('payment_ref', paymentRef)
+      .single();
+    if (lookupError) throw lookupError;
+    return existing;
+  }
+  if (error) throw error;
+  return transaction;
+};
+
+// Take money out of a wallet into counterAccount. allowNegative lets fees
+// push a wallet into debt. Money leaving through a provider (payouts) is
+// recorded as a pending transaction with the provider's method and reference.
+const debitWallet = async (
+  supabase,
+  {
+    userId,
+    amount,
+    type,
+    description,
+    rideId,
+    allowNegative,
+    status,
+    method,
+    paymentRef = uuidv4(),
+    provider,
+    counterAccount,
+  }
+) => {
+  const balance = await postWalletJournal(supabase, {
+    userId,
+    delta: -amount,
+    counterAccount,
+    type,
+    description,
+    rideId,
+    paymentRef,
+    allowNegative,
+  });
+  const transaction = await recordTransaction(supabase, {
+    userId,
+    amount: -amount,
+    type,
+    description,
+    rideId,
+    status,
+    method,
+    paymentRef,
+    provider,
+  });
+  return { balance, transaction };
+};
+
+// Put money into a wallet from counterAccount. Pass a deterministic
+// paymentRef to make the credit safe to retry.
+const creditWallet = async (
+  supabase,
+  { userId, amount, type, description, rideId, counterAccount, paymentRef = uuidv4() }
+) => {
+  const balance = await postWalletJournal(supabase, {
+    userId,
+    delta: amount,
+    counterAccount,
+    type,
+    description,
+    rideId,
+    paymentRef,
+  });
+  const transaction = await recordTransaction(supabase, { userId, amount, type, description, rideId, paymentRef });
+  return { balance, transaction };
+};
+
+// The pending transactions row for a deposit started with a provider. It is
+// completed (and the wallet credited) when the provider confirms the payment.
+const recordPendingDeposit = (supabase, { userId, amount, paymentRef, method, provider }) =>
+  recordTransaction(supabase, {
+    userId,
+    amount,
+    type: 'deposit',
+    description: 'Deposit via Mobile Money - awaiting payment',
+    status: 'pending',
+    method,
+    paymentRef,
+    provider,
+  });
+
+// Credit a provider deposit whose transactions row already exists. Posting
+// is keyed on the payment reference, so a repeated callback can't credit the
+// same deposit twice.
+const creditDeposit = async (supabase, { userId, amount, paymentRef, provider = 'monetbil' }) =>
+  postWalletJournal(supabase, {
+    userId,
+    delta: amount,
+    counterAccount: providerAccount(provider),
+    type: 'deposit',
+    description: `Deposit via ${provider}`,
+    paymentRef: `deposit:${paymentRef}`,
+  });
+
+// Payload of the transaction_update socket event for a wallet movement
+const toTransactionUpdate = (transaction) => ({
+  payment_ref: transaction.payment_ref,
+  status: transaction.status,
+  type: transaction.type,
+  amount: transaction.amount,
+});
+
+module.exports = {
+  getWallet,
+  debitWallet,
+  creditWallet,
+  recordPendingDeposit,
+  creditDeposit,
+  toTransactionUpdate,
+};
@@ -0,0 +1,192 @@
+// Inbox for payment provider callbacks. Every callback is stored with its raw
+// payload and signature check before anything else happens, keyed so that a
+// provider retrying the same callback maps onto the same row. An event is
+// claimed before it is processed, so it is applied at most once at a time and
+// never again after it succeeded; events that failed (or whose processing
+// died half-way) can be replayed by an admin. Callbacks that fail the
+// signature check are kept under a key of their own, so a forged callback
+// can't take the key of the genuine one and block it.
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+// A claim older than this is considered abandoned and can be replayed
+const STALE_CLAIM_MS = (Number(process.env.WEBHOOK_STALE_CLAIM_MINUTES) || 10) * 60 * 1000;
+
+// source -> (payload, { supabase, app }) => Promise<{ status, body }>
+const processors = new Map();
+
+// Register how events from a source are applied. Processors answer with the
+// HTTP status and body to send back; a status of 400 or above fails the event.
+const registerProcessor = (source, processor) => {
+  processors.set(source, processor);
+};
+
+// Store a callback that failed the signature check, for the record only
+const recordRejectedEvent = async (supabase, { source, idempotencyKey, payload }) => {
+  const { error } = await supabase.from('webhook_events').insert({
+    source,
+    idempotency_key: `rejected:${idempotencyKey}:${uuidv4()}`,
+    payload,
+    signature_valid: false,
+    status: 'rejected',
+  });
+  if (error) console.error(`Error recording rejected ${source} callback:`, error.message);
+};
+
+const recordEvent = async (supabase, { source, idempotencyKey, payload, signatureValid }) => {
+  const { data: inserted, error } = await supabase
+    .from('webhook_events')
+    .upsert(
+      {
+        source,
+        idempotency_key: idempotencyKey,
+        payload,
+        signature_valid: signatureValid,
+        status: 'received',
+      },
+      { onConflict: 'idempotency_key', ignoreDuplicates: true }
+    )
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (inserted) return inserted;
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('idempotency_key', idempotencyKey)
+    .single();
+  if (fetchError) throw fetchError;
+  return existing;
+};
+
+// Take an event for processing. Only one caller wins the claim.
+const claimEvent = async (supabase, eventId) => {
+  const staleBefore = new Date(Date.now() - STALE_CLAIM_MS).toISOString();
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({ status: 'processing', claimed_at: new Date().toISOString() })
+    .eq('id', eventId)
+    .or(`status.in.(received,failed),and(status.eq.processing,claimed_at.lt.${staleBefore})`)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+const finishEvent = async (supabase, event, outcome) => {
+  const failed = outcome.status >= 400;
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: failed ? 'failed' : 'processed',
+      attempts: (event.attempts || 0) + 1,
+      last_error: failed ? outcome.body?.error || `HTTP ${outcome.status}` : null,
+      response_status: outcome.status,
+      processed_at: failed ? null : new Date().toISOString(),
+    })
+    .eq('id', event.id);
+  if (error) console.error(`Error recording outcome of webhook event ${event.id}:`, error.message);
+};
+
+// Claim and apply a stored event, recording how it went
+const processEvent = async (event, { supabase, app }) => {
+  const processor = processors.get(event.source);
+  if (!processor) {
+    throw new Error(`No processor registered for ${event.source}`);
+  }
+
+  const claimed = await claimEvent(supabase, event.id);
+  if (!claimed) {
+    return { status: 200, body: { success: true, message: 'Event is already being processed' } };
+  }
+
+  let outcome;
+  try {
+    outcome = await processor(claimed.payload, { supabase, app });
+  } catch (error) {
+    console.error(`Error processing webhook event ${event.id}:`, error.message);
+    outcome = { status: 500, body: { error: error.message } };
+  }
+  await finishEvent(supabase, claimed, outcome);
+  return outcome;
+};
+
+// Store an inbound callback and process it unless it was already handled.
+// Returns the HTTP status and body to answer the provider with.
+const receiveEvent = async ({ source, idempotencyKey, payload, signatureValid }, { supabase, app }) => {
+  if (signatureValid === false) {
+    await recordRejectedEvent(supabase, { source, idempotencyKey, payload });
+    return { status: 401, body: { error: 'Invalid signature' } };
+  }
+
+  const event = await recordEvent(supabase, { source, idempotencyKey, payload, signatureValid });
+  if (event.status === 'processed') {
+    return { status: 200, body: { success: true, message: 'Event already processed', duplicate: true } };
+  }
+  return processEvent(event, { supabase, app });
+};
+
+// Admin views of the inbox, mounted behind requireAdmin
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  const { status = 'failed', source } = req.query;
+  try {
+    let query = req.supabase
+      .from('webhook_events')
+      .select('id, source, idempotency_key, status, signature_valid, attempts, last_error, received_at, processed_at')
+      .eq('status', status)
+      .order('received_at', { ascending: false })
+      .limit(Math.min(Number(req.query.limit) || 100, 500));
+    if (source) query = query.eq('source', source);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ events: data });
+  } catch (error) {
+    console.error('Error listing webhook events:', error.message);
+    res.status(500).json({ error: 'Failed to list webhook events' });
+  }
+});
+
+router.get('/:eventId', async (req, res) => {
+  try {
+    const { data, error } = await req.supabase.from('webhook_events').select('*').eq('id', req.params.eventId).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Event not found' });
+    res.json({ event: data });
+  } catch (error) {
+    console.error('Error fetching webhook event:', error.message);
+    res.status(500).json({ error: 'Failed to fetch webhook event' });
+  }
+});
+
+router.post('/:eventId/replay', async (req, res) => {
+  try {
+    const { data: event, error } = await req.supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('id', req.params.eventId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    if (!['failed', 'processing'].includes(event.status)) {
+      return res.status(409).json({ error: `Only failed events can be replayed (this one is ${event.status})` });
+    }
+
+    console.log(`Admin ${req.adminId} replaying webhook event ${event.id}`);
+    const outcome = await processEvent(event, { supabase: req.supabase, app: req.app });
+    res.json({ eventId: event.id, outcome });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error.message);
+    res.status(500).json({ error: 'Failed to replay webhook event' });
+  }
+});
+
+module.exports = {
+  registerProcessor,
+  receiveEvent,
+  router,
+};
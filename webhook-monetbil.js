@@ -1,150 +1,278 @@
 const express = require('express');
-const md5 = require('md5');
+const { v4: uuidv4 } = require('uuid');
+const { OPERATORS, normalizePhone } = require('./monetbil');
+const { getProvider, defaultProvider, listProviders } = require('./payment-providers');
+const { getWallet, recordPendingDeposit, creditDeposit } = require('./wallet');
+const { registerProcessor, receiveEvent } = require('./webhook-inbox');
+const { requireUser } = require('./admin');
+
+const MIN_DEPOSIT = Number(process.env.MIN_DEPOSIT) || 100;
+const MAX_DEPOSIT = Number(process.env.MAX_DEPOSIT) || 500000;
 
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Webhook Endpoint for Monetbil Callback
-app.post('/webhook/monetbil', async (req, res) => {
-  try {
-    const payload = req.body;
-    console.log('Received Monetbil callback:', JSON.stringify(payload, null, 2));
-    console.log('Request headers:', req.headers);
+// Credit a completed deposit to the wallet. The ledger journal is keyed on the
+// payment ref, so crediting the same deposit again is a no-op.
+const creditCompletedDeposit = async (supabase, transaction, netAmount) => {
+  const balance = await creditDeposit(supabase, {
+    userId: transaction.user_id,
+    amount: netAmount,
+    paymentRef: transaction.payment_ref,
+  });
+  console.log(`Wallet updated for user ${transaction.user_id}: New balance = ${balance}`);
+};
+
+// Apply a status update to a deposit and, once it completes, credit the
+// wallet through the ledger. The update is a compare-and-set on the status
+// we read, so when two callbacks for one payment race only one of them gets
+// to credit the wallet. Returns null if another request got there first.
+const settleDeposit = async (supabase, transaction, transactionUpdate, netAmount) => {
+  const { data: updatedTransaction, error } = await supabase
+    .from('transactions')
+    .update(transactionUpdate)
+    .eq('payment_ref', transaction.payment_ref)
+    .eq('type', 'deposit')
+    .eq('status', transaction.status)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!updatedTransaction) return null;
+
+  if (updatedTransaction.status === 'completed') {
+    await creditCompletedDeposit(supabase, transaction, netAmount);
+  }
+  return updatedTransaction;
+};
+
+// Apply a provider's payment update (from a verified callback or a status
+// check) to its deposit. Safe to run again for the same update: a deposit
+// that is already completed only has its (idempotent) wallet credit
+// re-posted, which finishes the job when an earlier attempt died between the
+// status update and the credit.
+const applyPaymentUpdate = async (provider, update, { supabase, app }) => {
+  const { paymentRef: payment_ref, status: dbStatus, fee, message, operator } = update;
+
+  const { data: transaction, error: fetchError } = await supabase
+    .from('transactions')
+    .select('id, user_id, amount, status, payment_ref, provider')
+    .eq('payment_ref', payment_ref)
+    .eq('type', 'deposit')
+    .maybeSingle();
+  if (fetchError) throw fetchError;
+  if (!transaction) {
+    console.error(`Transaction ${payment_ref} not found for ${provider.displayName} update`);
+    return { status: 404, body: { error: 'Transaction not found' } };
+  }
+  if ((transaction.provider || 'monetbil') !== provider.name) {
+    return { status: 409, body: { error: `Transaction was not made with ${provider.displayName}` } };
+  }
 
-    const { payment_ref, status, transaction_id, amount, currency, fee, message, operator, sign, service } = payload;
+  console.log('Found transaction:', transaction);
 
-    if (!payment_ref || !status) {
-      console.error('Missing required fields in callback:', { payment_ref, status });
-      return res.status(400).json({ error: 'Missing payment_ref or status' });
+  const netAmount = (update.amount ?? parseFloat(transaction.amount)) - (fee || 0);
+  if (['completed', 'failed'].includes(transaction.status)) {
+    if (transaction.status === 'completed' && dbStatus === 'completed') {
+      await creditCompletedDeposit(supabase, transaction, netAmount);
     }
+    console.warn(`Transaction ${payment_ref} already processed with status: ${transaction.status}`);
+    return { status: 200, body: { success: true, message: 'Transaction already processed', payment_ref, status: transaction.status } };
+  }
 
-    const SERVICE_KEY = process.env.SERVICE_KEY || "M55rSvthtYGRYp1Nl81o4W9xVUynS97X";
-    const dataToSign = `${service}${transaction_id}${amount}${currency}${status}${payment_ref}${SERVICE_KEY}`;
-    console.log('Signature data:', { service, transaction_id, amount, currency, status, payment_ref, SERVICE_KEY });
-    const computedSign = md5(dataToSign);
-    console.log('Computed sign:', computedSign, 'Received sign:', sign);
+  const transactionUpdate = {
+    status: dbStatus,
+    updated_at: new Date().toISOString(),
+    charge: fee || 0,
+    method: `${provider.displayName} (${operator || 'Unknown Operator'})`,
+    description: `Deposit via Mobile Money (${provider.displayName}) - ${message || 'No message provided'}`
+  };
+
+  const updatedTransaction = await settleDeposit(supabase, transaction, transactionUpdate, netAmount);
+  if (!updatedTransaction) {
+    console.warn(`Transaction ${payment_ref} was processed by a concurrent callback`);
+    return { status: 200, body: { success: true, message: 'Transaction already processed', payment_ref } };
+  }
 
-    if (computedSign !== sign) {
-      console.error('Invalid signature:', { computedSign, receivedSign: sign });
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
+  console.log('Transaction updated:', updatedTransaction);
 
-    let dbStatus;
-    switch (status.toUpperCase()) {
-      case 'SUCCESSFUL':
-      case 'SUCCESS':
-        dbStatus = 'completed';
-        break;
-      case 'FAILED':
-      case 'CANCELLED':
-        dbStatus = 'failed';
-        break;
-      case 'PENDING':
-        dbStatus = 'pending';
-        break;
-      default:
-        console.warn('Unknown Monetbil status:', status);
-        dbStatus = 'failed';
-    }
+  // Emit Socket.IO event for real-time update
+  app.get('io').to(transaction.user_id).emit('transaction_update', { payment_ref, status: dbStatus });
 
-    const supabase = req.supabase;
-    const { data: transaction, error: fetchError } = await supabase
-      .from('transactions')
-      .select('id, user_id, amount, status')
-      .eq('payment_ref', payment_ref)
-      .single();
+  console.log(`Transaction ${payment_ref} updated to status: ${dbStatus}`);
+  return { status: 200, body: { success: true, payment_ref, status: dbStatus } };
+};
 
-    if (fetchError || !transaction) {
-      console.error('Transaction fetch error:', fetchError?.message, fetchError?.details);
-      return res.status(404).json({ error: 'Transaction not found', details: fetchError?.message });
+// Payout notifications aren't trusted, so the status is always re-checked
+// with the provider before the payout is settled
+const settlePayoutNotification = async (reference, { app }) => {
+  const payout = await app.get('earnings').checkPayout(reference);
+  if (!payout) {
+    return { status: 404, body: { error: 'Payout not found' } };
+  }
+  if (payout.status === 'pending') {
+    // Fail the event so the provider's retry (or a replay) checks again
+    return { status: 503, body: { error: 'Payout is still pending with the provider' } };
+  }
+  return { status: 200, body: { success: true, payment_ref: reference, status: payout.status } };
+};
+
+// Inbox sources per provider: raw payment callbacks, raw payout
+// notifications, and updates we fetched ourselves (already normalized)
+listProviders().forEach((provider) => {
+  registerProcessor(`${provider.name}:payment`, (payload, context) => {
+    const update = provider.parseCallback(payload);
+    if (!update) {
+      return { status: 400, body: { error: 'Missing payment reference or status' } };
     }
+    return applyPaymentUpdate(provider, update, context);
+  });
+  registerProcessor(`${provider.name}:payout`, (payload, context) => {
+    const notification = provider.parsePayoutNotification(payload);
+    if (!notification) {
+      return { status: 400, body: { error: 'Missing payout reference' } };
+    }
+    return settlePayoutNotification(notification.reference, context);
+  });
+  registerProcessor(`${provider.name}:status`, ({ kind, ...update }, context) =>
+    kind === 'payout' ? settlePayoutNotification(update.reference, context) : applyPaymentUpdate(provider, update, context)
+  );
+});
 
-    console.log('Found transaction:', transaction);
+// Start a wallet deposit: create the pending transaction and get the payment
+// URL the user pays on. The provider's callback below completes it. The
+// deposit always goes to the signed-in user's own wallet.
+app.post('/payments/deposit', requireUser, async (req, res) => {
+  const { amount, phone, operator } = req.body;
+  const userId = req.userId;
 
-    if (['completed', 'failed'].includes(transaction.status)) {
-      console.warn(`Transaction ${payment_ref} already processed with status: ${transaction.status}`);
-      return res.status(200).json({ success: true, message: 'Transaction already processed', payment_ref, status: transaction.status });
-    }
+  if (!(Number.isInteger(amount) && amount >= MIN_DEPOSIT && amount <= MAX_DEPOSIT)) {
+    return res.status(400).json({ error: `amount must be a whole number of XAF between ${MIN_DEPOSIT} and ${MAX_DEPOSIT}` });
+  }
+  const payerPhone = normalizePhone(phone);
+  if (!payerPhone) {
+    return res.status(400).json({ error: 'phone must be a Cameroonian mobile number' });
+  }
+  if (operator && !OPERATORS.includes(operator)) {
+    return res.status(400).json({ error: `operator must be one of ${OPERATORS.join(', ')}` });
+  }
 
-    const transactionUpdate = {
-      status: dbStatus,
-      updated_at: new Date().toISOString(),
-      charge: parseFloat(fee || 0),
-      method: `Monetbil (${operator || 'Unknown Operator'})`,
-      description: `Deposit via Mobile Money (Monetbil) - ${message || 'No message provided'}`
-    };
+  const supabase = req.supabase;
+  try {
+    await getWallet(supabase, userId);
+  } catch (walletError) {
+    return res.status(404).json({ error: walletError.message });
+  }
+
+  const provider = defaultProvider();
+  let transaction;
+  try {
+    transaction = await recordPendingDeposit(supabase, {
+      userId,
+      amount,
+      paymentRef: uuidv4(),
+      method: operator ? `${provider.displayName} (${operator})` : provider.displayName,
+      provider: provider.name,
+    });
+  } catch (recordError) {
+    console.error('Error recording deposit:', recordError.message);
+    return res.status(500).json({ error: 'Failed to start deposit' });
+  }
 
-    const { data: updatedTransaction, error: updateTransactionError } = await supabase
+  try {
+    const { paymentUrl } = await provider.initiate({
+      paymentRef: transaction.payment_ref,
+      userId,
+      amount,
+      phone: payerPhone,
+      operator,
+    });
+    console.log(`Deposit ${transaction.payment_ref} of ${amount} XAF started for user ${userId} (${provider.name})`);
+    return res.status(201).json({ payment_ref: transaction.payment_ref, status: transaction.status, payment_url: paymentUrl });
+  } catch (paymentError) {
+    console.error(`Deposit ${transaction.payment_ref} rejected:`, paymentError.message);
+    await supabase
       .from('transactions')
-      .update(transactionUpdate)
-      .eq('payment_ref', payment_ref)
-      .select()
-      .single();
+      .update({ status: 'failed', description: `Deposit failed - ${paymentError.message}`, updated_at: new Date().toISOString() })
+      .eq('payment_ref', transaction.payment_ref)
+      .eq('status', 'pending');
+    return res.status(502).json({ error: `Failed to start payment with ${provider.displayName}`, details: paymentError.message });
+  }
+});
 
-    if (updateTransactionError) {
-      console.error('Transaction update failed:', updateTransactionError.message, updateTransactionError.details);
-      return res.status(500).json({ error: 'Failed to update transaction', details: updateTransactionError.message });
-    }
+// Resolve the provider a webhook URL is for
+const providerFor = (req, res) => {
+  try {
+    return getProvider(req.params.provider);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+    return null;
+  }
+};
 
-    console.log('Transaction updated:', updatedTransaction);
-
-    if (dbStatus === 'completed') {
-      const netAmount = parseFloat(amount) - parseFloat(fee || 0);
-
-      const { data: wallet, error: fetchWalletError } = await supabase
-        .from('wallets')
-        .select('balance')
-        .eq('user_id', transaction.user_id)
-        .single();
-
-      if (fetchWalletError || !wallet) {
-        console.error('Wallet fetch error:', fetchWalletError?.message, fetchWalletError?.details);
-        await supabase
-          .from('transactions')
-          .update({ status: 'failed', description: 'Deposit failed - Wallet not found', updated_at: new Date().toISOString() })
-          .eq('payment_ref', payment_ref);
-        return res.status(500).json({ error: 'Wallet not found', details: fetchWalletError?.message });
-      }
-
-      console.log('Current wallet:', wallet);
-
-      const newBalance = parseFloat(wallet.balance || 0) + netAmount;
-      const { data: updatedWallet, error: updateWalletError } = await supabase
-        .from('wallets')
-        .update({
-          balance: newBalance,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('user_id', transaction.user_id)
-        .select()
-        .single();
-
-      if (updateWalletError) {
-        console.error('Wallet update failed:', updateWalletError.message, updateWalletError.details);
-        await supabase
-          .from('transactions')
-          .update({ status: 'failed', description: 'Deposit failed - Could not update wallet balance', updated_at: new Date().toISOString() })
-          .eq('payment_ref', payment_ref);
-        return res.status(500).json({ error: 'Failed to update wallet balance', details: updateWalletError.message });
-      }
-
-      console.log(`Wallet updated for user ${transaction.user_id}: New balance = ${newBalance}`, updatedWallet);
-    }
+// Payment callbacks, e.g. /webhook/monetbil
+app.post('/webhook/:provider', async (req, res) => {
+  const provider = providerFor(req, res);
+  if (!provider) return;
 
-    // Emit Socket.IO event for real-time update
-    const io = req.app.get('io');
-    io.to(transaction.user_id).emit('transaction_update', { payment_ref, status: dbStatus });
+  try {
+    const payload = req.body;
+    console.log(`Received ${provider.displayName} callback:`, JSON.stringify(payload, null, 2));
+    console.log('Request headers:', req.headers);
+
+    const update = provider.parseCallback(payload);
+    if (!update) {
+      console.error('Missing required fields in callback:', payload);
+      return res.status(400).json({ error: 'Missing payment reference or status' });
+    }
 
-    console.log(`Transaction ${payment_ref} updated to status: ${dbStatus}`);
-    return res.status(200).json({ success: true, payment_ref, status: dbStatus });
+    // Providers retry a callback with the same payload; a later status for
+    // the same payment is a new event
+    const outcome = await receiveEvent(
+      {
+        source: `${provider.name}:payment`,
+        idempotencyKey: `${provider.name}:payment:${update.paymentRef}:${update.providerTransactionId || ''}:${String(update.rawStatus).toUpperCase()}`,
+        payload,
+        signatureValid: provider.verifyCallback(payload),
+      },
+      { supabase: req.supabase, app: req.app }
+    );
+    return res.status(outcome.status).json(outcome.body);
   } catch (error) {
     console.error('Error processing callback:', error.message, error.stack);
     throw error; // Let global error handler catch this
   }
 });
 
-// Endpoint to check payment status manually
+// Payout notifications, e.g. /webhook/monetbil/payout
+app.post('/webhook/:provider/payout', async (req, res) => {
+  const provider = providerFor(req, res);
+  if (!provider) return;
+
+  const notification = provider.parsePayoutNotification(req.body);
+  if (!notification) {
+    return res.status(400).json({ error: 'Missing payout reference' });
+  }
+
+  try {
+    const outcome = await receiveEvent(
+      {
+        source: `${provider.name}:payout`,
+        idempotencyKey: `${provider.name}:payout:${notification.reference}:${String(notification.rawStatus || '').toUpperCase()}`,
+        payload: req.body,
+        signatureValid: null,
+      },
+      { supabase: req.supabase, app: req.app }
+    );
+    return res.status(outcome.status).json(outcome.body);
+  } catch (error) {
+    console.error('Error processing payout notification:', error.message);
+    return res.status(500).json({ error: 'Failed to process payout notification' });
+  }
+});
+
+// Endpoint to check payment status manually. Only deposits are checked here;
+// holds and payouts have their own settlement
 app.post('/api/check-payment', async (req, res) => {
   try {
     const { payment_ref, transaction_id } = req.body;
@@ -158,8 +286,9 @@ app.post('/api/check-payment', async (req, res) => {
     const supabase = req.supabase;
     const { data: transaction, error: fetchError } = await supabase
       .from('transactions')
-      .select('id, user_id, amount, status, payment_ref, transaction_id')
+      .select('id, user_id, amount, status, payment_ref, transaction_id, provider')
       .eq('payment_ref', payment_ref)
+      .eq('type', 'deposit')
       .single();
 
     if (fetchError || !transaction) {
@@ -172,61 +301,23 @@ app.post('/api/check-payment', async (req, res) => {
       return res.status(200).json({ status: transaction.status, message: transaction.description });
     }
 
-    const SERVICE_KEY = process.env.SERVICE_KEY || "M55rSvthtYGRYp1Nl81o4W9xVUynS97X";
-    const checkPaymentUrl = `https://api.monetbil.com/v2.1/check/${SERVICE_KEY}`;
-    const paymentId = transaction_id || transaction.transaction_id || payment_ref;
-
-    console.log('Checking Monetbil payment status:', { checkPaymentUrl, paymentId });
-
-    const response = await fetch(checkPaymentUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({ transaction_id: paymentId }).toString(),
-    });
-
-    console.log('Monetbil checkPayment response status:', response.status);
-    console.log('Monetbil checkPayment response headers:', response.headers);
-
-    const rawResponse = await response.text();
-    console.log('Monetbil checkPayment raw response:', rawResponse);
-
-    if (!response.ok) {
-      return res.status(500).json({ error: `Monetbil API error: ${response.status}`, details: rawResponse });
-    }
+    const provider = getProvider(transaction.provider);
+    console.log(`Checking ${provider.displayName} payment status:`, { payment_ref });
 
     let result;
     try {
-      result = JSON.parse(rawResponse);
-    } catch (parseError) {
-      console.error('Failed to parse Monetbil response as JSON:', parseError.message);
-      return res.status(500).json({ error: 'Invalid response from Monetbil', details: rawResponse });
+      result = await provider.checkStatus({
+        paymentRef: payment_ref,
+        providerTransactionId: transaction_id || transaction.transaction_id,
+      });
+    } catch (checkError) {
+      console.error(`${provider.displayName} status check failed:`, checkError.message);
+      return res.status(500).json({ error: `Failed to reach ${provider.displayName}`, details: checkError.message });
     }
 
-    console.log('Monetbil checkPayment parsed response:', result);
-
-    if (!result || !result.status) {
-      return res.status(500).json({ error: 'Failed to check payment status with Monetbil', details: result });
-    }
+    console.log(`${provider.displayName} status check result:`, result);
 
-    let dbStatus;
-    switch (result.status.toUpperCase()) {
-      case 'SUCCESSFUL':
-      case 'SUCCESS':
-        dbStatus = 'completed';
-        break;
-      case 'FAILED':
-      case 'CANCELLED':
-        dbStatus = 'failed';
-        break;
-      case 'PENDING':
-        dbStatus = 'pending';
-        break;
-      default:
-        console.warn('Unknown Monetbil status:', result.status);
-        dbStatus = 'failed';
-    }
+    const dbStatus = result.status;
 
     const transactionUpdate = {
       status: dbStatus,
@@ -234,53 +325,18 @@ app.post('/api/check-payment', async (req, res) => {
       description: `Status updated via polling - ${result.message || 'No message provided'}`
     };
 
-    const { error: updateTransactionError } = await supabase
-      .from('transactions')
-      .update(transactionUpdate)
-      .eq('payment_ref', payment_ref);
-
-    if (updateTransactionError) {
-      console.error('Transaction update failed:', updateTransactionError.message, updateTransactionError.details);
-      return res.status(500).json({ error: 'Failed to update transaction', details: updateTransactionError.message });
+    let updatedTransaction;
+    try {
+      const netAmount = (result.amount ?? parseFloat(transaction.amount)) - (result.fee || 0);
+      updatedTransaction = await settleDeposit(supabase, transaction, transactionUpdate, netAmount);
+    } catch (settleError) {
+      console.error('Deposit settlement failed:', settleError.message);
+      return res.status(500).json({ error: 'Failed to settle deposit', details: settleError.message });
     }
 
-    if (dbStatus === 'completed') {
-      const netAmount = parseFloat(result.amount || transaction.amount) - parseFloat(result.fee || 0);
-
-      const { data: wallet, error: fetchWalletError } = await supabase
-        .from('wallets')
-        .select('balance')
-        .eq('user_id', transaction.user_id)
-        .single();
-
-      if (fetchWalletError || !wallet) {
-        console.error('Wallet fetch error:', fetchWalletError?.message, fetchWalletError?.details);
-        await supabase
-          .from('transactions')
-          .update({ status: 'failed', description: 'Deposit failed - Wallet not found', updated_at: new Date().toISOString() })
-          .eq('payment_ref', payment_ref);
-        return res.status(500).json({ error: 'Wallet not found', details: fetchWalletError?.message });
-      }
-
-      const newBalance = parseFloat(wallet.balance || 0) + netAmount;
-      const { error: updateWalletError } = await supabase
-        .from('wallets')
-        .update({
-          balance: newBalance,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('user_id', transaction.user_id);
-
-      if (updateWalletError) {
-        console.error('Wallet update failed:', updateWalletError.message, updateWalletError.details);
-        await supabase
-          .from('transactions')
-          .update({ status: 'failed', description: 'Deposit failed - Could not update wallet balance', updated_at: new Date().toISOString() })
-          .eq('payment_ref', payment_ref);
-        return res.status(500).json({ error: 'Failed to update wallet balance', details: updateWalletError.message });
-      }
-
-      console.log(`Wallet updated for user ${transaction.user_id}: New balance = ${newBalance}`);
+    if (!updatedTransaction) {
+      console.log(`Transaction ${payment_ref} was processed while checking its status`);
+      return res.status(200).json({ status: transaction.status, message: 'Transaction already processed' });
     }
 
     // Emit Socket.IO event for real-time update